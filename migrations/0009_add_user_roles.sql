@@ -0,0 +1,10 @@
+-- Migration: 0009_add_user_roles.sql
+-- Multi-user admin accounts with role-based access control
+-- Roles: owner, admin, editor, sales, viewer
+
+ALTER TABLE admin_users ADD COLUMN created_by INTEGER REFERENCES admin_users (id);
+
+-- The bootstrap account created by /api/auth/setup becomes the owner
+UPDATE admin_users SET role = 'owner' WHERE role = 'admin';
+
+CREATE INDEX IF NOT EXISTS idx_admin_users_role ON admin_users(role, is_active);
@@ -0,0 +1,20 @@
+-- Migration: 0010_create_api_keys_table.sql
+-- Database-backed, scoped and revocable API keys
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- first characters of the key, for identification only
+    key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the full key
+    owner_id INTEGER,
+    scopes TEXT NOT NULL DEFAULT '', -- comma-separated, e.g. 'media:write,inquiries:read'
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES admin_users (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys(owner_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(revoked_at, expires_at);
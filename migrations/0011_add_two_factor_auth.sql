@@ -0,0 +1,18 @@
+-- Migration: 0011_add_two_factor_auth.sql
+-- Opt-in TOTP (RFC 6238) second factor for admin login
+
+ALTER TABLE admin_users ADD COLUMN totp_secret TEXT;
+ALTER TABLE admin_users ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE admin_users ADD COLUMN totp_last_step INTEGER; -- last accepted time step (replay protection)
+
+-- One-time recovery codes, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES admin_users (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id, code_hash);
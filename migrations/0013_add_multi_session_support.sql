@@ -0,0 +1,16 @@
+-- Migration: 0013_add_multi_session_support.sql
+-- Multiple concurrent sessions per user with refresh token rotation
+-- A session is a token family: every refresh rotates the token within the same family_id
+
+ALTER TABLE refresh_tokens ADD COLUMN family_id TEXT;
+ALTER TABLE refresh_tokens ADD COLUMN user_agent TEXT;
+ALTER TABLE refresh_tokens ADD COLUMN ip_address TEXT;
+ALTER TABLE refresh_tokens ADD COLUMN last_used_at DATETIME;
+ALTER TABLE refresh_tokens ADD COLUMN rotated_at DATETIME; -- set when exchanged; reuse after this is treated as theft
+ALTER TABLE refresh_tokens ADD COLUMN revoked_reason TEXT;
+
+-- Existing tokens each become their own session
+UPDATE refresh_tokens SET family_id = 'legacy-' || id, last_used_at = created_at WHERE family_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_active ON refresh_tokens(user_id, is_active, expires_at);
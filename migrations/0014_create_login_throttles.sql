@@ -0,0 +1,15 @@
+-- Migration: 0014_create_login_throttles.sql
+-- Failed login counters per account (email) and per client IP, with backoff/lockout deadlines
+
+CREATE TABLE IF NOT EXISTS login_throttles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scope TEXT NOT NULL, -- account, ip
+    identifier TEXT NOT NULL, -- normalised email or IP address (tracked even if no such account exists)
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at DATETIME,
+    locked_until DATETIME, -- no login attempts are evaluated before this time
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (scope, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttles_locked ON login_throttles(locked_until);
@@ -0,0 +1,19 @@
+-- Migration: 0015_create_audit_log.sql
+-- Append-only record of every admin mutation: who did what to which resource, and what changed
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor_type TEXT NOT NULL, -- user, api_key, anonymous
+    actor_id TEXT, -- admin_users.id or api_keys.id ('env' for ADMIN_API_KEY)
+    actor_email TEXT,
+    action TEXT NOT NULL, -- create, update, delete, ...
+    resource_type TEXT NOT NULL, -- video, image, inquiry, admin_user, api_key, ...
+    resource_id TEXT,
+    changes TEXT, -- JSON: { field: { from, to } }
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_type, actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log(resource_type, resource_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
@@ -0,0 +1,18 @@
+-- Migration: 0016_add_access_token_revocation.sql
+-- Revoke access tokens before they expire: per-user token_version plus a denylist of
+-- token IDs (jti) and session IDs (sid)
+
+ALTER TABLE admin_users ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0; -- bumped to revoke every token of a user
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL, -- jti, session
+    token_id TEXT NOT NULL,
+    user_id INTEGER,
+    reason TEXT,
+    expires_at DATETIME NOT NULL, -- entry can be purged once every token it covers has expired
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (kind, token_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens(expires_at);
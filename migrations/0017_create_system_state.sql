@@ -0,0 +1,13 @@
+-- Migration: 0017_create_system_state.sql
+-- Key/value flags for one-off system events; setup_completed_at permanently disables /api/auth/setup
+
+CREATE TABLE IF NOT EXISTS system_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases that already have an admin have completed setup
+INSERT OR IGNORE INTO system_state (key, value)
+SELECT 'setup_completed_at', CURRENT_TIMESTAMP
+WHERE EXISTS (SELECT 1 FROM admin_users);
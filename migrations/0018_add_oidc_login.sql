@@ -0,0 +1,19 @@
+-- Migration: 0018_add_oidc_login.sql
+-- OpenID Connect single sign-on: pending authorization requests (state, PKCE verifier, nonce)
+-- and the provider identity linked to each admin user
+
+ALTER TABLE admin_users ADD COLUMN oidc_issuer TEXT;
+ALTER TABLE admin_users ADD COLUMN oidc_subject TEXT; -- `sub` claim, linked on first SSO login
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_oidc ON admin_users(oidc_issuer, oidc_subject);
+
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+    state TEXT PRIMARY KEY,
+    code_verifier TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    ip_address TEXT,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_login_states_expires ON oidc_login_states(expires_at);
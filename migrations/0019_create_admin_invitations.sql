@@ -0,0 +1,21 @@
+-- Migration: 0019_create_admin_invitations.sql
+-- Signed, expiring invitations to join the admin panel; the row is the source of truth for
+-- revocation and single use, the signed token only carries its ID
+
+CREATE TABLE IF NOT EXISTS admin_invitations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the signed invite token
+    invited_by INTEGER,
+    expires_at DATETIME NOT NULL,
+    accepted_at DATETIME,
+    accepted_user_id INTEGER,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invited_by) REFERENCES admin_users (id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_user_id) REFERENCES admin_users (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_invitations_email ON admin_invitations(email);
+CREATE INDEX IF NOT EXISTS idx_admin_invitations_pending ON admin_invitations(accepted_at, revoked_at, expires_at);
@@ -0,0 +1,16 @@
+-- Migration: 0020_rebuild_rate_limits.sql
+-- State for the D1 rate limit store. The rate_limits table from 0003 was never used, so it is
+-- rebuilt: one row per limiter key holding the algorithm state (JSON), with a version column
+-- for optimistic concurrency and an expiry (epoch milliseconds) for cleanup
+
+DROP TABLE IF EXISTS rate_limits;
+
+CREATE TABLE rate_limits (
+    limiter_key TEXT PRIMARY KEY, -- e.g. ip:203.0.113.7:public
+    state TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 0,
+    expires_at INTEGER NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits(expires_at);
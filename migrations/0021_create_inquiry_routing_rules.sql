@@ -0,0 +1,25 @@
+-- Migration: 0021_create_inquiry_routing_rules.sql
+-- Admin-managed lead routing: rules are evaluated in order when an inquiry is created and the
+-- first matching rule sets the assignee, priority and tags; the inquiry records which rule fired
+
+CREATE TABLE IF NOT EXISTS inquiry_routing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0, -- evaluation order, lowest first
+    is_active BOOLEAN DEFAULT TRUE,
+    conditions TEXT NOT NULL DEFAULT '{}', -- JSON: { locations, keywords, priorities, time_of_day }
+    actions TEXT NOT NULL DEFAULT '{}', -- JSON: { assign_to | round_robin, priority, tags }
+    round_robin_cursor INTEGER NOT NULL DEFAULT 0, -- assignments made so far by round_robin
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES admin_users (id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_inquiry_routing_rules_active ON inquiry_routing_rules(is_active, position);
+
+ALTER TABLE inquiries ADD COLUMN tags TEXT DEFAULT '[]'; -- JSON array of strings
+ALTER TABLE inquiries ADD COLUMN routing_rule_id INTEGER REFERENCES inquiry_routing_rules (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inquiries_routing_rule ON inquiries(routing_rule_id);
@@ -0,0 +1,31 @@
+-- Migration: 0022_create_inquiry_activities.sql
+-- Timeline of everything that happened to a lead: status transitions (recorded automatically
+-- when an inquiry is created or its status changes) plus notes, calls, emails and site visits
+-- logged by the sales team
+
+CREATE TABLE IF NOT EXISTS inquiry_activities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    inquiry_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK(type IN ('status_change', 'note', 'call', 'email', 'site_visit')),
+    from_status TEXT, -- status_change only; NULL for the initial status
+    to_status TEXT, -- status_change only
+    body TEXT DEFAULT '',
+    metadata TEXT DEFAULT '{}', -- JSON: e.g. { direction, duration_minutes, outcome }
+    actor_type TEXT NOT NULL, -- user, api_key, anonymous
+    actor_id TEXT,
+    actor_email TEXT,
+    occurred_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- when it happened (calls and visits can be logged afterwards)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (inquiry_id) REFERENCES inquiries (id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_inquiry_activities_inquiry ON inquiry_activities(inquiry_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_inquiry_activities_status ON inquiry_activities(type, to_status, occurred_at);
+
+-- Existing inquiries start their timeline with creation, and keep any notes they already have
+INSERT INTO inquiry_activities (inquiry_id, type, from_status, to_status, actor_type, occurred_at, created_at)
+SELECT id, 'status_change', NULL, 'pending', 'anonymous', created_at, created_at FROM inquiries;
+
+INSERT INTO inquiry_activities (inquiry_id, type, body, actor_type, occurred_at, created_at)
+SELECT id, 'note', notes, 'anonymous', updated_at, updated_at FROM inquiries
+WHERE notes IS NOT NULL AND notes != '';
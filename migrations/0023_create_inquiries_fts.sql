@@ -0,0 +1,37 @@
+-- Migration: 0023_create_inquiries_fts.sql
+-- Full-text index for admin inquiry search. External-content FTS5 table over the searchable
+-- inquiry columns (rowid = inquiries.id), kept in sync by triggers
+
+CREATE VIRTUAL TABLE IF NOT EXISTS inquiries_fts USING fts5(
+    name,
+    email,
+    phone,
+    location,
+    project_description,
+    notes,
+    content = 'inquiries',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS inquiries_fts_insert AFTER INSERT ON inquiries BEGIN
+    INSERT INTO inquiries_fts (rowid, name, email, phone, location, project_description, notes)
+    VALUES (new.id, new.name, new.email, new.phone, new.location, new.project_description, new.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS inquiries_fts_delete AFTER DELETE ON inquiries BEGIN
+    INSERT INTO inquiries_fts (inquiries_fts, rowid, name, email, phone, location, project_description, notes)
+    VALUES ('delete', old.id, old.name, old.email, old.phone, old.location, old.project_description, old.notes);
+END;
+
+-- Only reindex when a searchable column changes (not on status/priority/assignment updates)
+CREATE TRIGGER IF NOT EXISTS inquiries_fts_update
+AFTER UPDATE OF name, email, phone, location, project_description, notes ON inquiries BEGIN
+    INSERT INTO inquiries_fts (inquiries_fts, rowid, name, email, phone, location, project_description, notes)
+    VALUES ('delete', old.id, old.name, old.email, old.phone, old.location, old.project_description, old.notes);
+    INSERT INTO inquiries_fts (rowid, name, email, phone, location, project_description, notes)
+    VALUES (new.id, new.name, new.email, new.phone, new.location, new.project_description, new.notes);
+END;
+
+-- Index the inquiries that already exist
+INSERT INTO inquiries_fts (inquiries_fts) VALUES ('rebuild');
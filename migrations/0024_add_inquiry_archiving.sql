@@ -0,0 +1,6 @@
+-- Migration: 0024_add_inquiry_archiving.sql
+-- Archived inquiries are kept (with their timeline) but hidden from the default inquiry list
+
+ALTER TABLE inquiries ADD COLUMN archived_at DATETIME; -- NULL while active
+
+CREATE INDEX IF NOT EXISTS idx_inquiries_archived_at ON inquiries(archived_at);
@@ -82,6 +82,14 @@ echo ✅ Admin API Key generated: %ADMIN_API_KEY%
 echo 💾 Please save this API key securely!
 del admin_key.txt
 
+REM Generate one-time setup token for POST /api/auth/setup
+powershell -Command "-join ((1..32) | ForEach-Object { '{0:x2}' -f (Get-Random -Maximum 256) })" > setup_token.txt
+set /p SETUP_TOKEN=<setup_token.txt
+echo %SETUP_TOKEN% | wrangler secret put SETUP_TOKEN
+echo ✅ One-time setup token generated: %SETUP_TOKEN%
+echo 💾 Use it once with POST /api/auth/setup, then run: wrangler secret delete SETUP_TOKEN
+del setup_token.txt
+
 REM Set environment
 echo production | wrangler secret put ENVIRONMENT
 
@@ -133,6 +141,8 @@ echo 1. Update your domain configuration in wrangler.toml if needed
 echo 2. Deploy to production: wrangler deploy --env production
 echo 3. Test your API endpoints using the test-api.bat script
 echo 4. Save your Admin API Key: %ADMIN_API_KEY%
+echo 5. Create the owner account: POST /api/auth/setup with email, password and setupToken %SETUP_TOKEN%
+echo 6. Delete the setup token afterwards: wrangler secret delete SETUP_TOKEN
 echo.
 echo 🔗 Useful commands:
 echo - Start development: npm run dev
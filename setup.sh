@@ -79,6 +79,11 @@ echo "$ADMIN_API_KEY" | wrangler secret put ADMIN_API_KEY
 echo -e "${GREEN}✅ Admin API Key generated: $ADMIN_API_KEY${NC}"
 echo -e "${YELLOW}💾 Please save this API key securely!${NC}"
 
+SETUP_TOKEN=$(openssl rand -hex 32)
+echo "$SETUP_TOKEN" | wrangler secret put SETUP_TOKEN
+echo -e "${GREEN}✅ One-time setup token generated: $SETUP_TOKEN${NC}"
+echo -e "${YELLOW}💾 Use it once with POST /api/auth/setup, then run: wrangler secret delete SETUP_TOKEN${NC}"
+
 # Set environment
 echo "production" | wrangler secret put ENVIRONMENT
 
@@ -157,6 +162,8 @@ echo "1. Update your domain configuration in wrangler.toml if needed"
 echo "2. Deploy to production: wrangler deploy --env production"
 echo "3. Test your API endpoints using the test-api.sh script"
 echo "4. Save your Admin API Key: $ADMIN_API_KEY"
+echo "5. Create the owner account: POST /api/auth/setup with email, password and setupToken $SETUP_TOKEN"
+echo "6. Delete the setup token afterwards: wrangler secret delete SETUP_TOKEN"
 echo
 echo -e "${GREEN}🔗 Useful commands:${NC}"
 echo "- Start development: npm run dev"
@@ -4,8 +4,9 @@
  */
 
 import { Router } from 'itty-router';
-import { corsHeaders, handleCORS } from './middleware/cors.js';
-import { rateLimiter } from './middleware/rateLimiter.js';
+import { corsHeaders, handleCORS, setCorsHeaders } from './middleware/cors.js';
+import { rateLimiter, getRateLimitHeaders } from './middleware/rateLimiter.js';
+import { setSecurityHeaders } from './middleware/securityHeaders.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { authMiddleware } from './middleware/auth.js';
 import videoRoutes from './routes/videos.js';
@@ -13,6 +14,18 @@ import imageRoutes from './routes/images.js';
 import inquiryRoutes from './routes/inquiries.js';
 import healthRoutes from './routes/health.js';
 import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import sessionRoutes from './routes/sessions.js';
+import lockoutRoutes from './routes/lockouts.js';
+import auditRoutes from './routes/audit.js';
+import oidcRoutes from './routes/oidc.js';
+import invitationRoutes from './routes/invitations.js';
+import routingRuleRoutes from './routes/routingRules.js';
+
+// Durable Object classes must be exported from the worker entry point
+export { RateLimiterDurableObject } from './services/rateLimit.js';
 
 // Create optimized router with pre-compiled route tree
 const router = Router();
@@ -34,9 +47,17 @@ router.post('/api/inquiries', inquiryRoutes.createInquiry);
 
 // Authentication endpoints (public)
 router.post('/api/auth/login', authRoutes.login);
+router.post('/api/auth/2fa/verify', authRoutes.verifyTwoFactorLogin);
 router.post('/api/auth/refresh', authRoutes.refreshToken);
 router.post('/api/auth/logout', authRoutes.logout);
+router.post('/api/auth/forgot-password', authRoutes.forgotPassword);
+router.post('/api/auth/reset-password', authRoutes.resetPassword);
 router.post('/api/auth/setup', authRoutes.createAdminUser);
+router.get('/api/auth/oidc/start', oidcRoutes.start);
+router.get('/api/auth/oidc/callback', oidcRoutes.callback);
+router.get('/api/auth/invitations/:token', invitationRoutes.previewInvitation);
+router.post('/api/auth/invitations/:token/accept', invitationRoutes.acceptInvitation);
+router.get('/.well-known/jwks.json', authRoutes.getJwks);
 
 // Public endpoints (no auth required) - Legacy v1 API
 router.get('/api/v1/videos/:section', videoRoutes.getVideo);
@@ -52,7 +73,30 @@ router.all('/api/admin/*', authMiddleware);
 router.get('/api/admin/profile', authRoutes.getProfile);
 router.get('/api/admin/api-key', authRoutes.getAdminApiKey);
 router.post('/api/admin/regenerate-api-key', authRoutes.regenerateApiKey);
+router.get('/api/admin/api-keys', apiKeyRoutes.listApiKeys);
+router.post('/api/admin/api-keys', apiKeyRoutes.createApiKey);
+router.delete('/api/admin/api-keys/:id', apiKeyRoutes.revokeApiKey);
 router.put('/api/admin/change-password', authRoutes.changePassword);
+router.post('/api/admin/2fa/enroll', twoFactorRoutes.enroll);
+router.post('/api/admin/2fa/verify', twoFactorRoutes.verify);
+router.post('/api/admin/2fa/disable', twoFactorRoutes.disable);
+router.get('/api/admin/sessions', sessionRoutes.listSessions);
+router.delete('/api/admin/sessions', sessionRoutes.revokeAllSessions);
+router.delete('/api/admin/sessions/:id', sessionRoutes.revokeSession);
+
+router.get('/api/admin/users', userRoutes.listUsers);
+// Adding a user sends an invitation; accounts are only created when the invitee sets a password
+router.post('/api/admin/users', invitationRoutes.createInvitation);
+router.put('/api/admin/users/:id/role', userRoutes.changeUserRole);
+router.post('/api/admin/users/:id/deactivate', userRoutes.deactivateUser);
+router.post('/api/admin/users/:id/activate', userRoutes.activateUser);
+router.get('/api/admin/invitations', invitationRoutes.listInvitations);
+router.post('/api/admin/invitations', invitationRoutes.createInvitation);
+router.delete('/api/admin/invitations/:id', invitationRoutes.revokeInvitation);
+router.get('/api/admin/lockouts', lockoutRoutes.listLockouts);
+router.delete('/api/admin/lockouts/:id', lockoutRoutes.clearLockout);
+router.get('/api/admin/audit-log', auditRoutes.getAuditLog);
+
 router.post('/api/admin/videos/upload', videoRoutes.uploadVideo);
 router.post('/api/admin/videos/batch-upload', videoRoutes.uploadBatchVideos);
 router.put('/api/admin/videos/:section', videoRoutes.updateVideo);
@@ -64,10 +108,21 @@ router.put('/api/admin/images/:section/:id', imageRoutes.updateImage);
 router.delete('/api/admin/images/:section/:id', imageRoutes.deleteImage);
 
 router.get('/api/admin/inquiries', inquiryRoutes.getInquiries);
+router.get('/api/admin/inquiries/stats', inquiryRoutes.getInquiryStats);
+router.get('/api/admin/inquiries/export', inquiryRoutes.exportInquiries);
+router.post('/api/admin/inquiries/import', inquiryRoutes.importInquiries);
+router.post('/api/admin/inquiries/bulk', inquiryRoutes.bulkInquiries);
 router.get('/api/admin/inquiries/:id', inquiryRoutes.getInquiry);
+router.get('/api/admin/inquiries/:id/activities', inquiryRoutes.getActivities);
+router.post('/api/admin/inquiries/:id/activities', inquiryRoutes.addActivity);
 router.put('/api/admin/inquiries/:id', inquiryRoutes.updateInquiry);
 router.delete('/api/admin/inquiries/:id', inquiryRoutes.deleteInquiry);
 
+router.get('/api/admin/routing-rules', routingRuleRoutes.listRules);
+router.post('/api/admin/routing-rules', routingRuleRoutes.createRule);
+router.put('/api/admin/routing-rules/:id', routingRuleRoutes.updateRule);
+router.delete('/api/admin/routing-rules/:id', routingRuleRoutes.deleteRule);
+
 // Protected endpoints (auth required) - Legacy v1 API
 router.all('/api/v1/admin/*', authMiddleware);
 router.post('/api/v1/admin/videos/upload', videoRoutes.uploadVideo);
@@ -98,22 +153,26 @@ export default {
       // Route request through optimized router
       const response = await router.handle(request);
       
-      // Ensure CORS headers are always present
-      const headers = new Headers(response.headers);
-      Object.entries(corsHeaders).forEach(([key, value]) => {
-        if (!headers.has(key)) {
-          headers.set(key, value);
-        }
-      });
-      
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers
-      });
+      // Ensure CORS, RateLimit-* and security headers are always present
+      return withDefaultHeaders(response, request);
       
     } catch (error) {
-      return errorHandler(error, request);
+      return withDefaultHeaders(errorHandler(error, request), request);
     }
   }
-};
\ No newline at end of file
+};
+
+function withDefaultHeaders(response, request) {
+  const headers = setSecurityHeaders(setCorsHeaders(new Headers(response.headers), request), request);
+  Object.entries(getRateLimitHeaders(request.rateLimit)).forEach(([key, value]) => {
+    if (!headers.has(key)) {
+      headers.set(key, value);
+    }
+  });
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
@@ -4,73 +4,142 @@
  */
 
 import { corsHeaders } from './cors.js';
+import { DatabaseService } from '../services/database.js';
+import { ApiKeyService } from '../services/apiKeys.js';
+import { decodeJWT, getKeyring } from '../services/jwt.js';
+import { TokenRevocationService } from '../services/tokenRevocation.js';
+import { parseCookies, isCsrfValid, SESSION_COOKIE } from '../services/sessionCookies.js';
 
-// Simple JWT decode (for header and payload extraction)
-function decodeJWT(token) {
-  try {
-    const [header, payload] = token.split('.');
-    return {
-      header: JSON.parse(atob(header)),
-      payload: JSON.parse(atob(payload))
-    };
-  } catch (error) {
-    return null;
-  }
+// Role -> permission set (O(1) lookup with Set)
+export const ROLE_PERMISSIONS = new Map([
+  ['owner', new Set([
+    'media:read', 'media:write', 'media:delete',
+    'inquiries:read', 'inquiries:write', 'inquiries:delete',
+    'users:read', 'users:manage', 'keys:manage', 'audit:read', 'routing:manage'
+  ])],
+  ['admin', new Set([
+    'media:read', 'media:write', 'media:delete',
+    'inquiries:read', 'inquiries:write', 'inquiries:delete',
+    'users:read', 'users:manage', 'keys:manage', 'audit:read', 'routing:manage'
+  ])],
+  ['editor', new Set(['media:read', 'media:write', 'media:delete', 'inquiries:read'])],
+  ['sales', new Set(['inquiries:read', 'inquiries:write'])],
+  ['viewer', new Set(['media:read', 'inquiries:read'])]
+]);
+
+export const VALID_ROLES = Array.from(ROLE_PERMISSIONS.keys());
+
+// Every permission that exists (valid API key scopes)
+export const ALL_PERMISSIONS = Array.from(ROLE_PERMISSIONS.get('owner'));
+
+// Admin route permissions, first match wins: [method, path prefix, permission]
+// Paths are relative to /api/admin (or /api/v1/admin); unlisted paths only require authentication
+const ROUTE_PERMISSIONS = [
+  ['GET', '/users', 'users:read'],
+  ['*', '/users', 'users:manage'],
+  ['GET', '/invitations', 'users:read'],
+  ['*', '/invitations', 'users:manage'],
+  ['GET', '/lockouts', 'users:read'],
+  ['*', '/lockouts', 'users:manage'],
+  ['*', '/api-key', 'keys:manage'],
+  ['*', '/api-keys', 'keys:manage'],
+  ['*', '/regenerate-api-key', 'keys:manage'],
+  ['*', '/audit-log', 'audit:read'],
+  ['GET', '/routing-rules', 'inquiries:read'],
+  ['*', '/routing-rules', 'routing:manage'],
+  ['GET', '/videos', 'media:read'],
+  ['DELETE', '/videos', 'media:delete'],
+  ['*', '/videos', 'media:write'],
+  ['GET', '/images', 'media:read'],
+  ['DELETE', '/images', 'media:delete'],
+  ['*', '/images', 'media:write'],
+  ['GET', '/inquiries', 'inquiries:read'],
+  ['DELETE', '/inquiries', 'inquiries:delete'],
+  ['*', '/inquiries', 'inquiries:write']
+];
+
+// Check whether a role grants a permission
+export function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS.get(role);
+  return permissions ? permissions.has(permission) : false;
 }
 
-// Verify JWT signature using Web Crypto API
-async function verifyJWT(token, secret) {
-  try {
-    const [headerB64, payloadB64, signatureB64] = token.split('.');
-    
-    if (!headerB64 || !payloadB64 || !signatureB64) {
-      return false;
-    }
+// Check whether an authenticated request user (role or API key scopes) grants a permission
+export function hasAccess(user, permission) {
+  if (!user) return false;
+  if (Array.isArray(user.scopes)) return user.scopes.includes(permission);
+  return hasPermission(user.role, permission);
+}
 
-    // Recreate the signature
-    const data = `${headerB64}.${payloadB64}`;
-    const key = await crypto.subtle.importKey(
-      'raw',
-      new TextEncoder().encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    );
-
-    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
-    const expectedSignature = new Uint8Array(signature);
-    
-    // Compare signatures
-    const actualSignature = new Uint8Array(
-      atob(signatureB64.replace(/-/g, '+').replace(/_/g, '/'))
-        .split('')
-        .map(char => char.charCodeAt(0))
-    );
-
-    if (expectedSignature.length !== actualSignature.length) {
-      return false;
-    }
+// Resolve the permission required for an admin request (null = any authenticated user)
+export function getRequiredPermission(method, pathname) {
+  const path = pathname.replace(/^\/api(\/v1)?\/admin/, '');
 
-    for (let i = 0; i < expectedSignature.length; i++) {
-      if (expectedSignature[i] !== actualSignature[i]) {
-        return false;
-      }
+  for (const [routeMethod, prefix, permission] of ROUTE_PERMISSIONS) {
+    if ((routeMethod === '*' || routeMethod === method) &&
+        (path === prefix || path.startsWith(`${prefix}/`))) {
+      return permission;
     }
+  }
 
-    return true;
-  } catch (error) {
-    return false;
+  return null;
+}
+
+// Resolve an X-API-Key header to a request user (environment key or database key), or null
+// The result is remembered on the request so the rate limiter and authMiddleware share one lookup
+export async function resolveApiKey(request, apiKey) {
+  if (request.apiKeyResolution?.apiKey === apiKey) {
+    return request.apiKeyResolution.user;
+  }
+
+  const user = await lookupApiKey(request, apiKey);
+  request.apiKeyResolution = { apiKey, user };
+  return user;
+}
+
+async function lookupApiKey(request, apiKey) {
+  // Environment API key has full access
+  const envApiKey = request.env.ADMIN_API_KEY;
+  if (envApiKey && apiKey === envApiKey) {
+    return { userId: null, role: 'owner', type: 'api_key', apiKeyId: 'env' };
   }
+
+  if (!request.env.DB) {
+    return null;
+  }
+
+  const keyService = new ApiKeyService(new DatabaseService(request.env.DB));
+  const key = await keyService.findActiveKey(apiKey);
+
+  if (!key) {
+    return null;
+  }
+
+  // Record usage without delaying the response when possible
+  const touch = keyService.touchKey(key.id);
+  if (request.ctx?.waitUntil) {
+    request.ctx.waitUntil(touch);
+  } else {
+    await touch;
+  }
+
+  return {
+    userId: null,
+    ownerId: key.owner_id,
+    type: 'api_key',
+    apiKeyId: key.id,
+    scopes: key.scopes
+  };
 }
 
 // Create authentication error response
-function createAuthError(message, code = 'UNAUTHORIZED') {
+function createAuthError(message, code = 'UNAUTHORIZED', status = 401) {
   return new Response(JSON.stringify({
     error: message,
     code: code,
     timestamp: new Date().toISOString()
   }), {
-    status: 401,
+    status,
     headers: {
       ...corsHeaders,
       'Content-Type': 'application/json'
@@ -93,35 +162,50 @@ export async function authMiddleware(request) {
     
     // Check for API key authentication (simpler for admin operations)
     if (apiKey) {
-      const validApiKey = request.env.ADMIN_API_KEY;
+      const keyUser = await resolveApiKey(request, apiKey);
       
-      if (!validApiKey) {
-        return createAuthError('Server configuration error', 'CONFIG_ERROR');
+      if (!keyUser) {
+        return createAuthError('Invalid API key', 'INVALID_API_KEY');
       }
       
-      if (apiKey !== validApiKey) {
-        return createAuthError('Invalid API key', 'INVALID_API_KEY');
+      const requiredPermission = getRequiredPermission(request.method, url.pathname);
+      if (requiredPermission && !hasAccess(keyUser, requiredPermission)) {
+        return createAuthError('API key is missing the required scope', 'FORBIDDEN', 403);
       }
       
       // API key is valid, continue
+      request.user = keyUser;
       return undefined;
     }
 
-    // Check for JWT token
-    if (!authorization || !authorization.startsWith('Bearer ')) {
-      return createAuthError('Missing or invalid authorization header', 'MISSING_AUTH');
-    }
+    // Check for JWT token: Bearer header, else the session cookie set by cookie-mode login
+    let token;
+    if (authorization?.startsWith('Bearer ')) {
+      token = authorization.substring(7); // Remove 'Bearer '
+    } else {
+      const cookies = parseCookies(request);
+      token = cookies.get(SESSION_COOKIE);
+
+      if (!token) {
+        return createAuthError('Missing or invalid authorization header', 'MISSING_AUTH');
+      }
 
-    const token = authorization.substring(7); // Remove 'Bearer '
+      // Browsers attach cookies to cross-site requests; the double-submit token proves
+      // the request came from the admin app
+      if (!isCsrfValid(request, cookies)) {
+        return createAuthError('Missing or invalid CSRF token', 'CSRF_TOKEN_INVALID', 403);
+      }
+      request.authMethod = 'cookie';
+    }
     
     if (!token) {
       return createAuthError('Missing token', 'MISSING_TOKEN');
     }
 
-    // Get JWT secret from environment
-    const jwtSecret = request.env.JWT_SECRET;
+    // Get the JWT keyring (JWT_KEYS and/or JWT_SECRET) from environment
+    const keyring = await getKeyring(request.env);
     
-    if (!jwtSecret) {
+    if (keyring.keys.size === 0) {
       return createAuthError('Server configuration error', 'CONFIG_ERROR');
     }
 
@@ -138,13 +222,30 @@ export async function authMiddleware(request) {
       return createAuthError('Token expired', 'TOKEN_EXPIRED');
     }
 
-    // Verify token signature
-    const isValid = await verifyJWT(token, jwtSecret);
+    // Verify token signature with the key named by its kid
+    const isValid = await keyring.verifySignature(token);
     
     if (!isValid) {
       return createAuthError('Invalid token signature', 'INVALID_SIGNATURE');
     }
 
+    // Only access tokens grant API access (not e.g. 2FA login challenges)
+    if (decoded.payload.type !== 'access') {
+      return createAuthError('Invalid token type', 'INVALID_TOKEN_TYPE');
+    }
+
+    // Reject tokens revoked by logout, password change or deactivation (cached per isolate)
+    const revocation = new TokenRevocationService(new DatabaseService(request.env.DB));
+    if (await revocation.isRevoked(decoded.payload)) {
+      return createAuthError('Token has been revoked', 'TOKEN_REVOKED');
+    }
+
+    // Enforce role-based permissions for the requested route
+    const requiredPermission = getRequiredPermission(request.method, url.pathname);
+    if (requiredPermission && !hasPermission(decoded.payload.role, requiredPermission)) {
+      return createAuthError('Insufficient permissions', 'FORBIDDEN', 403);
+    }
+
     // Attach user info to request for downstream handlers
     request.user = decoded.payload;
     
@@ -1,41 +1,149 @@
 /**
  * CORS Middleware - Optimized for production use
  * DSA Optimization: Pre-computed headers object for O(1) access
+ * Allowed origins come from per-environment config, with separate public and admin policies;
+ * the request's origin is reflected only when it is allowed.
  */
 
-// Pre-computed CORS headers for maximum performance
+// Pre-computed CORS headers that do not depend on the request origin
 export const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
-  'Access-Control-Max-Age': '86400', // 24 hours
-  'Access-Control-Allow-Credentials': 'false'
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-CSRF-Token',
+  'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After, Content-Disposition',
+  'Access-Control-Max-Age': '86400' // 24 hours
 };
 
+// Policies by route, first match wins: [path prefix, policy]
+// origins: env var with a comma-separated allowlist; exact origins, https://*.example.com
+// wildcard subdomains, or * for any origin (never credentialed)
+const CORS_POLICIES = [
+  ['/api/admin', { name: 'admin', origins: 'CORS_ADMIN_ORIGINS', credentials: true }],
+  ['/api/v1/admin', { name: 'admin', origins: 'CORS_ADMIN_ORIGINS', credentials: true }],
+  ['/api/auth', { name: 'admin', origins: 'CORS_ADMIN_ORIGINS', credentials: true }],
+  ['/', { name: 'public', origins: 'CORS_ALLOWED_ORIGINS', credentials: false }]
+];
+
+// Parsed allowlists, keyed by the raw env string
+const allowlistCache = new Map();
+
+// Allowed origins for a policy; the admin policy defaults to the admin app's origin
+function getAllowedOrigins(policy, env = {}) {
+  if (env[policy.origins]) {
+    return env[policy.origins];
+  }
+
+  if (policy.name === 'admin' && env.ADMIN_APP_URL) {
+    try {
+      return new URL(env.ADMIN_APP_URL).origin;
+    } catch (error) {
+      console.error('Invalid ADMIN_APP_URL for CORS:', error.message);
+    }
+  }
+
+  return '*';
+}
+
+// Parse "https://a.com, https://*.b.com, *" into exact origins (Set) and wildcard suffixes
+export function parseOriginAllowlist(value = '*') {
+  if (!allowlistCache.has(value)) {
+    const allowlist = { any: false, exact: new Set(), wildcards: [] };
+
+    for (const entry of value.split(',').map(item => item.trim().replace(/\/$/, '')).filter(Boolean)) {
+      if (entry === '*') {
+        allowlist.any = true;
+      } else if (entry.includes('://*.')) {
+        const [scheme, host] = entry.split('://*.');
+        allowlist.wildcards.push({ scheme: `${scheme}://`, suffix: `.${host.toLowerCase()}` });
+      } else {
+        allowlist.exact.add(entry.toLowerCase());
+      }
+    }
+
+    allowlistCache.set(value, allowlist);
+  }
+  return allowlistCache.get(value);
+}
+
+// Explicitly listed origins (exact or wildcard subdomain); * does not count
+function isOriginListed(allowlist, origin) {
+  const normalized = origin.toLowerCase();
+  if (allowlist.exact.has(normalized)) {
+    return true;
+  }
+
+  return allowlist.wildcards.some(({ scheme, suffix }) =>
+    normalized.startsWith(scheme) &&
+    normalized.endsWith(suffix) &&
+    normalized.length > scheme.length + suffix.length
+  );
+}
+
+export function getCorsPolicy(pathname) {
+  return CORS_POLICIES.find(([prefix]) => pathname.startsWith(prefix))[1];
+}
+
+// Origin-dependent CORS headers for a request
+// Listed origins are reflected (with credentials when the policy allows them), * answers
+// any origin without credentials, and other origins get no Access-Control-Allow-Origin
+export function getCorsHeaders(request) {
+  const policy = getCorsPolicy(new URL(request.url).pathname);
+  const allowlist = parseOriginAllowlist(getAllowedOrigins(policy, request.env));
+  const origin = request.headers.get('Origin');
+  const headers = { 'Vary': 'Origin' };
+
+  if (origin && isOriginListed(allowlist, origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    if (policy.credentials) {
+      headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+  } else if (allowlist.any) {
+    headers['Access-Control-Allow-Origin'] = '*';
+  }
+
+  return headers;
+}
+
 // Optimized CORS preflight handler
 export function handleCORS(request) {
   if (request.method === 'OPTIONS') {
     return new Response(null, {
       status: 204,
-      headers: corsHeaders
+      headers: {
+        ...corsHeaders,
+        ...getCorsHeaders(request)
+      }
     });
   }
-  
+
   // Continue to next middleware/handler
   return undefined;
 }
 
-// Add CORS headers to any response
-export function addCORSHeaders(response) {
-  const headers = new Headers(response.headers);
-  
+// Apply CORS headers to a Headers object; origin decisions always come from the policy,
+// never from the route
+export function setCorsHeaders(headers, request) {
   Object.entries(corsHeaders).forEach(([key, value]) => {
     headers.set(key, value);
   });
-  
+
+  headers.delete('Access-Control-Allow-Origin');
+  headers.delete('Access-Control-Allow-Credentials');
+  Object.entries(getCorsHeaders(request)).forEach(([key, value]) => {
+    if (key !== 'Vary') {
+      headers.set(key, value);
+    } else if (!/\borigin\b/i.test(headers.get('Vary') || '')) {
+      headers.append('Vary', value);
+    }
+  });
+
+  return headers;
+}
+
+// Add CORS headers to any response
+export function addCORSHeaders(response, request) {
   return new Response(response.body, {
     status: response.status,
     statusText: response.statusText,
-    headers
+    headers: setCorsHeaders(new Headers(response.headers), request)
   });
-}
\ No newline at end of file
+}
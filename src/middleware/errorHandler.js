@@ -173,6 +173,13 @@ export class AuthenticationError extends Error {
   }
 }
 
+export class ForbiddenError extends Error {
+  constructor(message = 'Insufficient permissions') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
 export class ConflictError extends Error {
   constructor(message) {
     super(message);
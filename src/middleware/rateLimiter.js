@@ -1,169 +1,238 @@
 /**
  * Rate Limiter Middleware - DSA optimized with sliding window algorithm
- * Uses in-memory LRU cache for maximum performance
+ * Counters live in a pluggable store (Durable Object, D1 or in-memory); with the Durable
+ * Object limits hold across isolates and cold starts. See services/rateLimit.js
+ * Limits come from a per-route policy table and are reported in RateLimit-* headers
  */
 
 import { corsHeaders } from './cors.js';
+import { resolveApiKey } from './auth.js';
+import { createRateLimitStore, DEFAULT_RATE_LIMIT_ALGORITHM } from '../services/rateLimit.js';
+import { verifyToken } from '../services/jwt.js';
+import { parseCookies, SESSION_COOKIE } from '../services/sessionCookies.js';
+import { getClientIP } from '../utils/validation.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Named policies; routes that share a name share a bucket
+// keyBy: identities tried in order ('user' = verified JWT or session cookie, 'api_key' = valid X-API-Key, 'ip')
+// failover: brute-force targets; when the store fails they count in isolate memory instead of failing open
+const POLICIES = {
+  login: { name: 'login', limit: 10, windowMs: 15 * MINUTE, keyBy: ['ip'], failover: true },
+  passwordReset: { name: 'password-reset', limit: 5, windowMs: HOUR, keyBy: ['ip'], failover: true },
+  setup: { name: 'setup', limit: 5, windowMs: HOUR, keyBy: ['ip'], failover: true },
+  invitations: { name: 'invitations', limit: 20, windowMs: HOUR, keyBy: ['ip'], failover: true },
+  inquiries: { name: 'inquiries', limit: 5, windowMs: HOUR, keyBy: ['ip'] },
+  media: { name: 'media', limit: 1000, windowMs: 15 * MINUTE, keyBy: ['ip'] },
+  admin: { name: 'admin', limit: 500, windowMs: 15 * MINUTE, keyBy: ['user', 'api_key', 'ip'] },
+  default: { name: 'default', limit: 100, windowMs: 15 * MINUTE, keyBy: ['ip'] }
+};
 
-// LRU Cache implementation for rate limiting (DSA: Doubly Linked List + HashMap)
-class LRUCache {
-  constructor(capacity = 1000) {
-    this.capacity = capacity;
-    this.cache = new Map();
-    this.head = { key: null, value: null, prev: null, next: null };
-    this.tail = { key: null, value: null, prev: null, next: null };
-    this.head.next = this.tail;
-    this.tail.prev = this.head;
-  }
+// Route policies, first match wins: [method, path pattern, policy]
+// Patterns support :params and a trailing /* for any sub-path
+const RATE_LIMIT_POLICIES = [
+  ['POST', '/api/auth/login', POLICIES.login],
+  ['POST', '/api/auth/2fa/verify', POLICIES.login],
+  ['GET', '/api/auth/oidc/*', POLICIES.login],
+  ['POST', '/api/auth/forgot-password', POLICIES.passwordReset],
+  ['POST', '/api/auth/reset-password', POLICIES.passwordReset],
+  ['POST', '/api/auth/setup', POLICIES.setup],
+  ['*', '/api/auth/invitations/*', POLICIES.invitations],
+  ['POST', '/api/inquiries', POLICIES.inquiries],
+  ['POST', '/api/v1/inquiries', POLICIES.inquiries],
+  ['GET', '/api/images/:section', POLICIES.media],
+  ['GET', '/api/videos/:section', POLICIES.media],
+  ['GET', '/api/v1/images/:section', POLICIES.media],
+  ['GET', '/api/v1/videos/:section', POLICIES.media],
+  ['*', '/api/admin/*', POLICIES.admin],
+  ['*', '/api/v1/admin/*', POLICIES.admin],
+  ['*', '*', POLICIES.default]
+];
+
+// Pre-compiled route matchers (built once per isolate)
+const COMPILED_POLICIES = RATE_LIMIT_POLICIES.map(([method, pattern, policy]) => {
+  const source = pattern === '*'
+    ? '.*'
+    : pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\/\*$/, '(?:/.*)?')
+      .replace(/:[A-Za-z]+/g, '[^/]+');
+  return { method, regex: new RegExp(`^${source}$`), policy };
+});
+
+// Parsed RATE_LIMIT_ALLOWLIST values, keyed by the raw env string
+const allowlistCache = new Map();
+
+// Find the policy for a request (the '*' catch-all always matches)
+export function getRateLimitPolicy(method, pathname) {
+  return COMPILED_POLICIES.find(entry =>
+    (entry.method === '*' || entry.method === method) && entry.regex.test(pathname)
+  ).policy;
+}
 
-  get(key) {
-    if (this.cache.has(key)) {
-      const node = this.cache.get(key);
-      this.moveToHead(node);
-      return node.value;
-    }
+function ipv4ToNumber(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
     return null;
   }
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
 
-  put(key, value) {
-    if (this.cache.has(key)) {
-      const node = this.cache.get(key);
-      node.value = value;
-      this.moveToHead(node);
-    } else {
-      const newNode = { key, value, prev: null, next: null };
-      
-      if (this.cache.size >= this.capacity) {
-        const tail = this.removeTail();
-        this.cache.delete(tail.key);
+// RATE_LIMIT_ALLOWLIST: comma-separated IPs, IPv4 CIDR ranges and API keys as key:<api key id>
+// (key:env for ADMIN_API_KEY)
+export function parseAllowlist(value = '') {
+  if (!allowlistCache.has(value)) {
+    const allowlist = { ips: new Set(), keys: new Set(), ranges: [] };
+
+    for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+      if (entry.startsWith('key:')) {
+        allowlist.keys.add(entry.slice(4));
+      } else if (entry.includes('/')) {
+        const [base, bits] = entry.split('/');
+        const start = ipv4ToNumber(base);
+        const prefix = parseInt(bits);
+        if (start !== null && prefix >= 0 && prefix <= 32) {
+          const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+          allowlist.ranges.push({ network: (start & mask) >>> 0, mask });
+        }
+      } else {
+        allowlist.ips.add(entry);
       }
-      
-      this.cache.set(key, newNode);
-      this.addToHead(newNode);
     }
-  }
 
-  addToHead(node) {
-    node.prev = this.head;
-    node.next = this.head.next;
-    this.head.next.prev = node;
-    this.head.next = node;
+    allowlistCache.set(value, allowlist);
   }
+  return allowlistCache.get(value);
+}
 
-  removeNode(node) {
-    node.prev.next = node.next;
-    node.next.prev = node.prev;
+function isIpAllowlisted(allowlist, ip) {
+  if (allowlist.ips.has(ip)) {
+    return true;
   }
 
-  moveToHead(node) {
-    this.removeNode(node);
-    this.addToHead(node);
+  const address = ipv4ToNumber(ip);
+  return address !== null && allowlist.ranges.some(range => ((address & range.mask) >>> 0) === range.network);
+}
+
+// Resolve a verified API key user for the request, or null (invalid keys fall back to the IP)
+async function getApiKeyUser(request) {
+  const apiKey = request.headers.get('X-API-Key');
+  if (!apiKey || !request.env) {
+    return null;
   }
 
-  removeTail() {
-    const last = this.tail.prev;
-    this.removeNode(last);
-    return last;
+  try {
+    return await resolveApiKey(request, apiKey);
+  } catch (error) {
+    return null;
   }
 }
 
-// Global rate limit cache
-const rateLimitCache = new LRUCache(1000);
-
-// Rate limiting configuration
-const RATE_LIMIT_CONFIG = {
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  maxRequests: 100, // requests per window
-  adminMaxRequests: 500, // higher limit for admin endpoints
-  blockDuration: 60 * 60 * 1000 // 1 hour block for abuse
-};
+// Resolve the bucket identity for a policy; unverifiable credentials never get their own bucket
+async function getIdentity(request, policy, ip) {
+  for (const keyType of policy.keyBy) {
+    if (keyType === 'user') {
+      const authorization = request.headers.get('Authorization');
+      const token = authorization?.startsWith('Bearer ')
+        ? authorization.substring(7)
+        : parseCookies(request).get(SESSION_COOKIE);
+      if (token && request.env) {
+        const payload = await verifyToken(token, request.env).catch(() => null);
+        if (payload?.type === 'access' && payload.userId) {
+          return `user:${payload.userId}`;
+        }
+      }
+    } else if (keyType === 'api_key') {
+      const keyUser = await getApiKeyUser(request);
+      if (keyUser) {
+        return `key:${keyUser.apiKeyId}`;
+      }
+    } else if (keyType === 'ip') {
+      return `ip:${ip}`;
+    }
+  }
 
-function getClientIP(request) {
-  return request.headers.get('CF-Connecting-IP') || 
-         request.headers.get('X-Forwarded-For') || 
-         request.headers.get('X-Real-IP') || 
-         'unknown';
+  return `ip:${ip}`;
 }
 
-function isAdminEndpoint(url) {
-  return url.includes('/admin/');
+// RateLimit-* response headers for a decision (IETF draft RateLimit header fields)
+export function getRateLimitHeaders(decision) {
+  if (!decision) {
+    return {};
+  }
+
+  return {
+    'RateLimit-Limit': String(decision.limit),
+    'RateLimit-Remaining': String(decision.remaining),
+    'RateLimit-Reset': String(Math.ceil(decision.resetMs / 1000)),
+    'RateLimit-Policy': `${decision.limit};w=${Math.round(decision.windowMs / 1000)}`
+  };
 }
 
 export async function rateLimiter(request) {
+  const env = request.env || {};
   const ip = getClientIP(request);
-  const now = Date.now();
-  const isAdmin = isAdminEndpoint(request.url);
-  
-  // Get current rate limit data for this IP
-  let limitData = rateLimitCache.get(ip);
-  
-  if (!limitData) {
-    limitData = {
-      count: 0,
-      windowStart: now,
-      blocked: false,
-      blockUntil: 0
-    };
+  const allowlist = parseAllowlist(env.RATE_LIMIT_ALLOWLIST);
+
+  if (isIpAllowlisted(allowlist, ip)) {
+    return undefined;
   }
 
-  // Check if IP is currently blocked
-  if (limitData.blocked && now < limitData.blockUntil) {
-    return new Response(JSON.stringify({
-      error: 'Rate limit exceeded',
-      code: 'RATE_LIMIT_BLOCKED',
-      retryAfter: Math.ceil((limitData.blockUntil - now) / 1000)
-    }), {
-      status: 429,
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/json',
-        'Retry-After': Math.ceil((limitData.blockUntil - now) / 1000).toString()
-      }
-    });
+  if (allowlist.keys.size > 0) {
+    const keyUser = await getApiKeyUser(request);
+    if (keyUser && allowlist.keys.has(String(keyUser.apiKeyId))) {
+      return undefined;
+    }
   }
 
-  // Reset window if expired
-  if (now - limitData.windowStart > RATE_LIMIT_CONFIG.windowMs) {
-    limitData.count = 0;
-    limitData.windowStart = now;
-    limitData.blocked = false;
+  const routePolicy = getRateLimitPolicy(request.method, new URL(request.url).pathname);
+  const policy = {
+    limit: routePolicy.limit,
+    windowMs: routePolicy.windowMs,
+    algorithm: env.RATE_LIMIT_ALGORITHM || DEFAULT_RATE_LIMIT_ALGORITHM
+  };
+
+  const key = `${routePolicy.name}:${await getIdentity(request, routePolicy, ip)}`;
+
+  let decision;
+  try {
+    decision = await createRateLimitStore(env).consume(key, policy);
+  } catch (error) {
+    console.error('Rate limit store unavailable:', error.message);
+
+    // Fail open: an unavailable store must not take the whole API down...
+    if (!routePolicy.failover) {
+      return undefined;
+    }
+
+    // ...but login, 2FA, setup and password reset keep a per-isolate limit
+    decision = await createRateLimitStore({ RATE_LIMIT_STORE: 'memory' }).consume(key, policy);
   }
 
-  // Increment request count
-  limitData.count++;
-  
-  // Check rate limits
-  const maxRequests = isAdmin ? 
-    RATE_LIMIT_CONFIG.adminMaxRequests : 
-    RATE_LIMIT_CONFIG.maxRequests;
-
-  if (limitData.count > maxRequests) {
-    limitData.blocked = true;
-    limitData.blockUntil = now + RATE_LIMIT_CONFIG.blockDuration;
-    
-    rateLimitCache.put(ip, limitData);
-    
+  decision = { ...decision, windowMs: policy.windowMs };
+
+  // Read by index.js to add RateLimit-* headers to the final response
+  request.rateLimit = decision;
+
+  if (!decision.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(decision.retryAfterMs / 1000));
+
     return new Response(JSON.stringify({
       error: 'Rate limit exceeded',
       code: 'RATE_LIMIT_EXCEEDED',
-      retryAfter: RATE_LIMIT_CONFIG.blockDuration / 1000
+      retryAfter
     }), {
       status: 429,
       headers: {
         ...corsHeaders,
+        ...getRateLimitHeaders(decision),
         'Content-Type': 'application/json',
-        'Retry-After': (RATE_LIMIT_CONFIG.blockDuration / 1000).toString()
+        'Retry-After': retryAfter.toString()
       }
     });
   }
 
-  // Update cache
-  rateLimitCache.put(ip, limitData);
-  
-  // Add rate limit headers to response
-  const remaining = Math.max(0, maxRequests - limitData.count);
-  const resetTime = Math.ceil((limitData.windowStart + RATE_LIMIT_CONFIG.windowMs) / 1000);
-  
   // Continue to next middleware/handler
   return undefined;
-}
\ No newline at end of file
+}
@@ -0,0 +1,97 @@
+/**
+ * Security Headers Middleware - Response-stage hardening headers
+ * A named profile (env.SECURITY_HEADERS_PROFILE) supplies the base headers; content-type
+ * and per-route overrides adjust them, e.g. a strict CSP for HTML and none for JSON.
+ * Headers a route sets itself are left alone.
+ */
+
+const DEFAULT_PROFILE = 'standard';
+
+// Base header sets by profile name (O(1) lookup)
+const SECURITY_HEADER_PROFILES = new Map([
+  ['standard', {
+    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=()',
+    'X-Frame-Options': 'DENY'
+  }],
+  ['strict', {
+    'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'no-referrer',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=(), usb=(), interest-cohort=()',
+    'X-Frame-Options': 'DENY',
+    'Cross-Origin-Opener-Policy': 'same-origin'
+  }]
+]);
+
+// Default CSP for HTML the worker serves; override with env.CONTENT_SECURITY_POLICY
+const HTML_CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "script-src 'self'",
+  "style-src 'self'",
+  "img-src 'self' data: https://res.cloudinary.com",
+  "connect-src 'self'",
+  "base-uri 'none'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Overrides by response content type; null leaves a header out
+const CONTENT_TYPE_OVERRIDES = new Map([
+  ['text/html', (env) => ({ 'Content-Security-Policy': env.CONTENT_SECURITY_POLICY || HTML_CONTENT_SECURITY_POLICY })],
+  // JSON is never rendered, so a CSP only adds bytes
+  ['application/json', () => ({ 'Content-Security-Policy': null })]
+]);
+
+// Overrides by route, applied after the content type (every matching prefix, in order)
+const ROUTE_OVERRIDES = [
+  // Tokens and account data must not be kept by browser or shared caches
+  ['/api/auth', { 'Cache-Control': 'no-store' }],
+  ['/api/admin', { 'Cache-Control': 'no-store' }],
+  ['/api/v1/admin', { 'Cache-Control': 'no-store' }],
+  // The callback URL carries the authorization code
+  ['/api/auth/oidc/callback', { 'Referrer-Policy': 'no-referrer' }]
+];
+
+// Resolve the security headers for a response; null values are left out
+export function getSecurityHeaders(request, contentType = '') {
+  const env = request.env || {};
+  const profileName = env.SECURITY_HEADERS_PROFILE || DEFAULT_PROFILE;
+
+  // 'off' is for local development without HTTPS
+  if (profileName === 'off') {
+    return {};
+  }
+
+  const profile = SECURITY_HEADER_PROFILES.get(profileName) || SECURITY_HEADER_PROFILES.get(DEFAULT_PROFILE);
+
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+  const contentOverrides = CONTENT_TYPE_OVERRIDES.get(mediaType);
+  const pathname = new URL(request.url).pathname;
+
+  const headers = { ...profile, ...(contentOverrides ? contentOverrides(env) : {}) };
+  for (const [prefix, overrides] of ROUTE_OVERRIDES) {
+    if (pathname.startsWith(prefix)) {
+      Object.assign(headers, overrides);
+    }
+  }
+
+  return headers;
+}
+
+// Apply security headers to a Headers object without replacing ones the route set
+export function setSecurityHeaders(headers, request) {
+  const securityHeaders = getSecurityHeaders(request, headers.get('Content-Type') || '');
+
+  Object.entries(securityHeaders).forEach(([key, value]) => {
+    if (value !== null && !headers.has(key)) {
+      headers.set(key, value);
+    }
+  });
+
+  return headers;
+}
+
+export { SECURITY_HEADER_PROFILES };
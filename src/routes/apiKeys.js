@@ -0,0 +1,151 @@
+/**
+ * API Key Routes - Create, list and revoke scoped API keys
+ * Each integration (build server, automations) gets its own key that works immediately
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { ApiKeyService } from '../services/apiKeys.js';
+import { ALL_PERMISSIONS, hasAccess } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.js';
+import { z } from 'zod';
+
+// Validation schemas
+const createApiKeySchema = z.object({
+  name: z.string().min(1, 'Key name is required').max(100).trim(),
+  scopes: z.array(z.enum(ALL_PERMISSIONS)).min(1, 'At least one scope is required'),
+  expiresInDays: z.number().int().min(1).max(3650).optional()
+});
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class ApiKeyRoutes {
+  constructor() {
+    this.listApiKeys = this.listApiKeys.bind(this);
+    this.createApiKey = this.createApiKey.bind(this);
+    this.revokeApiKey = this.revokeApiKey.bind(this);
+  }
+
+  // List API keys (hashes are never returned)
+  async listApiKeys(request) {
+    try {
+      const url = new URL(request.url);
+      const includeRevoked = url.searchParams.get('include_revoked') === 'true';
+
+      const keyService = new ApiKeyService(new DatabaseService(request.env.DB));
+      const keys = await keyService.listKeys({ includeRevoked });
+
+      return createResponse({
+        keys,
+        availableScopes: ALL_PERMISSIONS
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Create a new API key; the plaintext key is only returned in this response
+  async createApiKey(request) {
+    try {
+      const body = await request.json();
+      const validatedData = createApiKeySchema.parse(body);
+
+      // Callers cannot mint keys with more access than they have themselves
+      const deniedScopes = validatedData.scopes.filter(scope => !hasAccess(request.user, scope));
+      if (deniedScopes.length > 0) {
+        return createErrorResponse(`You cannot grant scopes you do not have: ${deniedScopes.join(', ')}`, 403, 'ACCESS_DENIED');
+      }
+
+      const keyService = new ApiKeyService(new DatabaseService(request.env.DB));
+      const { key, record } = await keyService.createKey({
+        name: validatedData.name,
+        ownerId: request.user?.userId || request.user?.ownerId || null,
+        scopes: Array.from(new Set(validatedData.scopes)),
+        expiresInDays: validatedData.expiresInDays
+      });
+      await recordAudit(request, { action: 'create', resourceType: 'api_key', resourceId: record.id, after: record });
+
+      return createResponse({
+        message: 'API key created. Store it securely, it will not be shown again.',
+        apiKey: key,
+        key: record,
+        usage: {
+          header: 'X-API-Key',
+          example: `X-API-Key: ${key}`
+        }
+      }, 201);
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Revoke an API key (takes effect immediately)
+  async revokeApiKey(request) {
+    try {
+      const url = new URL(request.url);
+      const keyId = parseInt(url.pathname.split('/').pop());
+
+      if (!keyId || isNaN(keyId)) {
+        return createErrorResponse('Valid API key ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const keyService = new ApiKeyService(new DatabaseService(request.env.DB));
+      const existing = await keyService.getKey(keyId);
+
+      if (!existing) {
+        return createErrorResponse('API key not found', 404, 'API_KEY_NOT_FOUND');
+      }
+
+      const key = await keyService.revokeKey(keyId);
+      await recordAudit(request, { action: 'revoke', resourceType: 'api_key', resourceId: keyId, before: existing, after: key });
+
+      return createResponse({
+        message: 'API key revoked successfully',
+        key
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const apiKeyRoutes = new ApiKeyRoutes();
+export default apiKeyRoutes;
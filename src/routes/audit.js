@@ -0,0 +1,106 @@
+/**
+ * Audit Log Routes - Query the admin audit trail
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { AuditService } from '../services/audit.js';
+import { validatePagination } from '../utils/validation.js';
+import { z } from 'zod';
+
+// Accepts YYYY-MM-DD, YYYY-MM-DD HH:MM:SS or ISO 8601 timestamps
+const dateFilter = z.string().regex(/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?)?$/, 'Dates must be YYYY-MM-DD or ISO 8601');
+
+// Validation schemas
+const auditQuerySchema = z.object({
+  actor_type: z.enum(['user', 'api_key', 'anonymous']).optional(),
+  actor_id: z.string().max(50).optional(),
+  actor_email: z.string().email('Invalid email format').optional(),
+  action: z.string().max(50).optional(),
+  resource_type: z.string().max(50).optional(),
+  resource_id: z.string().max(100).optional(),
+  from: dateFilter.optional(),
+  to: dateFilter.optional(),
+  limit: z.string().optional(),
+  offset: z.string().optional()
+});
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class AuditRoutes {
+  constructor() {
+    this.getAuditLog = this.getAuditLog.bind(this);
+  }
+
+  // List audit entries, filterable by actor, resource, action and date range
+  async getAuditLog(request) {
+    try {
+      const url = new URL(request.url);
+      const query = auditQuerySchema.parse(Object.fromEntries(url.searchParams.entries()));
+      const { limit, offset } = validatePagination(query.limit, query.offset);
+
+      const auditService = new AuditService(new DatabaseService(request.env.DB));
+      const { entries, total } = await auditService.listEntries({
+        actorType: query.actor_type,
+        actorId: query.actor_id,
+        actorEmail: query.actor_email,
+        action: query.action,
+        resourceType: query.resource_type,
+        resourceId: query.resource_id,
+        from: query.from,
+        to: query.to
+      }, { limit, offset });
+
+      return createResponse({
+        entries,
+        pagination: {
+          total,
+          limit,
+          offset,
+          has_more: (offset + limit) < total
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const auditRoutes = new AuditRoutes();
+export default auditRoutes;
@@ -6,12 +6,25 @@
 import { corsHeaders } from '../middleware/cors.js';
 import { DatabaseService } from '../services/database.js';
 import { ValidationError, AuthenticationError } from '../middleware/errorHandler.js';
+import { hasPermission, ROLE_PERMISSIONS } from '../middleware/auth.js';
+import { hashPassword, verifyPassword, timingSafeEqual, DUMMY_PASSWORD_HASH } from '../services/password.js';
+import { ApiKeyService } from '../services/apiKeys.js';
+import { signToken, verifyToken, getKeyring } from '../services/jwt.js';
+import { TwoFactorService } from '../services/twoFactor.js';
+import { SessionService } from '../services/sessions.js';
+import { TokenRevocationService } from '../services/tokenRevocation.js';
+import { LoginThrottleService, getThrottleKeys } from '../services/loginThrottle.js';
+import { createMailTransport } from '../services/mail.js';
+import { recordAudit, getActor } from '../services/audit.js';
+import { parseCookies, createSessionCookies, clearSessionCookies, withCookies, isCsrfValid, SESSION_COOKIE, REFRESH_COOKIE } from '../services/sessionCookies.js';
+import { generateSecureRandom, hashString, getClientIP } from '../utils/validation.js';
 import { z } from 'zod';
 
 // Validation schemas
 const loginSchema = z.object({
-  email: z.string().email('Invalid email format'),
-  password: z.string().min(8, 'Password must be at least 8 characters')
+  email: z.string().email('Invalid email format').toLowerCase().trim(),
+  password: z.string().min(8, 'Password must be at least 8 characters'),
+  useCookies: z.boolean().optional()
 });
 
 const changePasswordSchema = z.object({
@@ -27,58 +40,38 @@ const refreshTokenSchema = z.object({
   refreshToken: z.string().min(1, 'Refresh token is required')
 });
 
-// Helper function to hash passwords
-async function hashPassword(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-}
+const twoFactorLoginSchema = z.object({
+  challengeToken: z.string().min(1, 'Challenge token is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+  recoveryCode: z.string().min(10).max(20).optional(),
+  useCookies: z.boolean().optional()
+}).refine((data) => data.code || data.recoveryCode, {
+  message: 'A 2FA code or recovery code is required',
+  path: ['code']
+});
 
-// Helper function to generate JWT
-async function generateJWT(payload, secret, expiresIn = '24h') {
-  const header = {
-    alg: 'HS256',
-    typ: 'JWT'
-  };
-
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + (expiresIn === '24h' ? 24 * 60 * 60 : 
-                     expiresIn === '7d' ? 7 * 24 * 60 * 60 : 
-                     parseInt(expiresIn));
-
-  const jwtPayload = {
-    ...payload,
-    iat: now,
-    exp: exp
-  };
-
-  const headerB64 = btoa(JSON.stringify(header)).replace(/=/g, '');
-  const payloadB64 = btoa(JSON.stringify(jwtPayload)).replace(/=/g, '');
-  
-  const data = `${headerB64}.${payloadB64}`;
-  const key = await crypto.subtle.importKey(
-    'raw',
-    new TextEncoder().encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
-
-  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
-  const signatureB64 = btoa(String.fromCharCode(...new Uint8Array(signature)))
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=/g, '');
-
-  return `${headerB64}.${payloadB64}.${signatureB64}`;
-}
+const setupSchema = loginSchema.extend({
+  setupToken: z.string().min(1, 'Setup token is required')
+});
 
-// Helper function to generate secure random token
-function generateRefreshToken() {
-  return crypto.randomUUID() + '-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-}
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format').toLowerCase().trim()
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  newPassword: z.string().min(8, 'New password must be at least 8 characters'),
+  confirmPassword: z.string().min(8, 'Confirm password is required')
+}).refine((data) => data.newPassword === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ["confirmPassword"]
+});
+
+// Lifetime of password reset tokens (minutes)
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Lifetime of the login challenge issued to 2FA-enrolled users (seconds)
+const MFA_CHALLENGE_TTL = 5 * 60;
 
 // Create standardized response
 function createResponse(data, status = 200) {
@@ -113,16 +106,27 @@ function createErrorResponse(message, status = 400, code = 'ERROR') {
   });
 }
 
+// Same response for every throttled login, whether or not the account exists
+function createThrottledResponse(retryAfter) {
+  const response = createErrorResponse('Too many failed login attempts. Please try again later.', 429, 'TOO_MANY_ATTEMPTS');
+  response.headers.set('Retry-After', String(retryAfter));
+  return response;
+}
+
 class AuthRoutes {
   constructor() {
     this.login = this.login.bind(this);
+    this.verifyTwoFactorLogin = this.verifyTwoFactorLogin.bind(this);
     this.refreshToken = this.refreshToken.bind(this);
     this.logout = this.logout.bind(this);
     this.changePassword = this.changePassword.bind(this);
+    this.forgotPassword = this.forgotPassword.bind(this);
+    this.resetPassword = this.resetPassword.bind(this);
     this.getProfile = this.getProfile.bind(this);
     this.createAdminUser = this.createAdminUser.bind(this);
     this.getAdminApiKey = this.getAdminApiKey.bind(this);
     this.regenerateApiKey = this.regenerateApiKey.bind(this);
+    this.getJwks = this.getJwks.bind(this);
   }
 
   // Admin login
@@ -132,54 +136,103 @@ class AuthRoutes {
       const validatedData = loginSchema.parse(body);
 
       const db = new DatabaseService(request.env.DB);
+
+      // Throttle before looking the account up so responses never reveal whether it exists
+      const throttle = new LoginThrottleService(db, request.env);
+      const throttleKeys = getThrottleKeys(validatedData.email, getClientIP(request));
+      const retryAfter = await throttle.getRetryAfter(throttleKeys);
+
+      if (retryAfter > 0) {
+        return createThrottledResponse(retryAfter);
+      }
       
       // Check if admin user exists
       const user = await this.getAdminUser(db, validatedData.email);
       
       if (!user) {
+        // Same hashing work as a wrong password, so response time doesn't reveal the email is unknown
+        await verifyPassword(validatedData.password, DUMMY_PASSWORD_HASH);
+        await throttle.recordFailure(throttleKeys);
         return createErrorResponse('Invalid email or password', 401, 'INVALID_CREDENTIALS');
       }
 
       // Verify password
-      const hashedPassword = await hashPassword(validatedData.password);
-      if (hashedPassword !== user.password_hash) {
+      const { valid, needsRehash } = await verifyPassword(validatedData.password, user.password_hash);
+      if (!valid) {
+        await throttle.recordFailure(throttleKeys);
         return createErrorResponse('Invalid email or password', 401, 'INVALID_CREDENTIALS');
       }
 
-      // Generate tokens
-      const accessToken = await generateJWT({
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        type: 'access'
-      }, request.env.JWT_SECRET, '24h');
+      // Transparently upgrade legacy or weaker hashes to the current format
+      if (needsRehash) {
+        await db.executeQuery(
+          'UPDATE admin_users SET password_hash = ? WHERE id = ?',
+          [await hashPassword(validatedData.password), user.id]
+        );
+      }
 
-      const refreshToken = generateRefreshToken();
+      // Enrolled users must complete a second factor before receiving tokens
+      if (user.totp_enabled) {
+        return await this.createMfaChallengeResponse(user, request.env);
+      }
 
-      // Store refresh token in database
-      await this.storeRefreshToken(db, user.id, refreshToken);
+      // A completed login resets the account counter (the IP counter decays on its own)
+      await throttle.clear('account', throttleKeys[0].identifier);
 
-      // Update last login
-      await db.executeQuery(
-        'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
-        [user.id]
-      );
+      return this.createSessionResponse(await this.issueSession(db, user, request), request.env, validatedData.useCookies);
 
-      return createResponse({
-        user: {
-          id: user.id,
-          email: user.email,
-          role: user.role,
-          created_at: user.created_at,
-          last_login: new Date().toISOString()
-        },
-        tokens: {
-          accessToken,
-          refreshToken,
-          expiresIn: 24 * 60 * 60, // 24 hours in seconds
-          tokenType: 'Bearer'
-        }
-      });
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Complete a login challenge with a TOTP or recovery code
+  async verifyTwoFactorLogin(request) {
+    try {
+      const body = await request.json();
+      const validatedData = twoFactorLoginSchema.parse(body);
+
+      const payload = await verifyToken(validatedData.challengeToken, request.env);
+      if (!payload || payload.type !== 'mfa_challenge') {
+        return createErrorResponse('Invalid or expired login challenge', 401, 'INVALID_MFA_CHALLENGE');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+      const user = await this.getAdminUserById(db, payload.userId);
+
+      if (!user) {
+        return createErrorResponse('Invalid or expired login challenge', 401, 'INVALID_MFA_CHALLENGE');
+      }
+
+      // Wrong codes count against the same counters as wrong passwords
+      const throttle = new LoginThrottleService(db, request.env);
+      const throttleKeys = getThrottleKeys(user.email, getClientIP(request));
+      const retryAfter = await throttle.getRetryAfter(throttleKeys);
+
+      if (retryAfter > 0) {
+        return createThrottledResponse(retryAfter);
+      }
+
+      const twoFactor = new TwoFactorService(db);
+      const verified = await twoFactor.verifySecondFactor(user, validatedData);
+
+      if (!verified) {
+        await throttle.recordFailure(throttleKeys);
+        return createErrorResponse('Invalid two-factor code', 401, 'INVALID_MFA_CODE');
+      }
+
+      await throttle.clear('account', throttleKeys[0].identifier);
+
+      const session = await this.issueSession(db, user, request);
+
+      if (validatedData.recoveryCode) {
+        session.recoveryCodesRemaining = await twoFactor.countRemainingRecoveryCodes(user.id);
+      }
+
+      return this.createSessionResponse(session, request.env, validatedData.useCookies);
 
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -189,43 +242,62 @@ class AuthRoutes {
     }
   }
 
-  // Refresh access token
+  // Refresh access token (refresh token in the body, or the refresh cookie in cookie mode)
   async refreshToken(request) {
     try {
-      const body = await request.json();
-      const validatedData = refreshTokenSchema.parse(body);
+      const body = await request.json().catch(() => ({}));
+      const cookies = parseCookies(request);
+      const useCookies = !body.refreshToken && cookies.has(REFRESH_COOKIE);
+
+      if (useCookies && !isCsrfValid(request, cookies)) {
+        return createErrorResponse('Missing or invalid CSRF token', 403, 'CSRF_TOKEN_INVALID');
+      }
+
+      const validatedData = refreshTokenSchema.parse(useCookies ? { refreshToken: cookies.get(REFRESH_COOKIE) } : body);
 
       const db = new DatabaseService(request.env.DB);
       
-      // Verify refresh token
-      const tokenData = await this.verifyRefreshToken(db, validatedData.refreshToken);
-      
-      if (!tokenData) {
-        return createErrorResponse('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN');
+      // Rotate the refresh token (each token can only be exchanged once)
+      const sessions = new SessionService(db);
+      const rotation = await sessions.rotate(validatedData.refreshToken, request);
+
+      if (rotation.status === 'reused') {
+        await new TokenRevocationService(db).revokeSession(rotation.sessionId, rotation.userId, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${rotation.userId}; session ${rotation.sessionId} revoked`);
+        return this.endCookieSession(
+          createErrorResponse('Refresh token has already been used. This session has been revoked; please log in again.', 401, 'REFRESH_TOKEN_REUSED'),
+          request.env,
+          useCookies
+        );
+      }
+
+      if (rotation.status !== 'ok') {
+        return this.endCookieSession(
+          createErrorResponse('Invalid or expired refresh token', 401, 'INVALID_REFRESH_TOKEN'),
+          request.env,
+          useCookies
+        );
       }
 
       // Get user data
-      const user = await this.getAdminUserById(db, tokenData.user_id);
+      const user = await this.getAdminUserById(db, rotation.userId);
       
       if (!user) {
+        await sessions.revokeSession(rotation.userId, rotation.sessionId);
         return createErrorResponse('User not found', 404, 'USER_NOT_FOUND');
       }
 
       // Generate new access token
-      const accessToken = await generateJWT({
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        type: 'access'
-      }, request.env.JWT_SECRET, '24h');
+      const accessToken = await this.generateAccessToken(user, rotation.sessionId, request.env);
 
-      return createResponse({
+      return this.createSessionResponse({
         tokens: {
           accessToken,
+          refreshToken: rotation.token,
           expiresIn: 24 * 60 * 60,
           tokenType: 'Bearer'
         }
-      });
+      }, request.env, useCookies);
 
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -235,20 +307,45 @@ class AuthRoutes {
     }
   }
 
-  // Logout (invalidate refresh token)
+  // Logout (invalidate refresh token; cookie sessions also have their cookies cleared)
   async logout(request) {
     try {
-      const body = await request.json();
-      const { refreshToken } = body;
+      const body = await request.json().catch(() => ({}));
+      const cookies = parseCookies(request);
+      const authorization = request.headers.get('Authorization');
+      const useCookies = cookies.has(SESSION_COOKIE) || cookies.has(REFRESH_COOKIE);
+
+      if (useCookies && !isCsrfValid(request, cookies)) {
+        return createErrorResponse('Missing or invalid CSRF token', 403, 'CSRF_TOKEN_INVALID');
+      }
+
+      const refreshToken = body.refreshToken || cookies.get(REFRESH_COOKIE);
+      const accessToken = authorization?.startsWith('Bearer ')
+        ? authorization.substring(7)
+        : cookies.get(SESSION_COOKIE);
+
+      const db = new DatabaseService(request.env.DB);
+      const revocation = new TokenRevocationService(db);
 
       if (refreshToken) {
-        const db = new DatabaseService(request.env.DB);
-        await this.revokeRefreshToken(db, refreshToken);
+        const session = await new SessionService(db).revokeByToken(refreshToken, 'logout');
+        if (session) {
+          await revocation.revokeSession(session.family_id, session.user_id, 'logout');
+        }
       }
 
-      return createResponse({
+      // Also revoke the access token itself when one is presented
+      if (accessToken) {
+        const payload = await verifyToken(accessToken, request.env);
+        if (payload?.type === 'access') {
+          await revocation.revokeToken(payload, 'logout');
+          await revocation.revokeSession(payload.sid, payload.userId, 'logout');
+        }
+      }
+
+      return this.endCookieSession(createResponse({
         message: 'Logged out successfully'
-      });
+      }), request.env, useCookies);
 
     } catch (error) {
       throw error;
@@ -274,8 +371,8 @@ class AuthRoutes {
       }
 
       // Verify current password
-      const currentPasswordHash = await hashPassword(validatedData.currentPassword);
-      if (currentPasswordHash !== user.password_hash) {
+      const { valid } = await verifyPassword(validatedData.currentPassword, user.password_hash);
+      if (!valid) {
         return createErrorResponse('Current password is incorrect', 400, 'INVALID_CURRENT_PASSWORD');
       }
 
@@ -287,12 +384,20 @@ class AuthRoutes {
         'UPDATE admin_users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
         [newPasswordHash, userId]
       );
+      await recordAudit(request, {
+        action: 'change_password',
+        resourceType: 'admin_user',
+        resourceId: userId,
+        before: { password_hash: user.password_hash },
+        after: { password_hash: newPasswordHash }
+      });
 
-      // Revoke all refresh tokens for this user (force re-login on all devices)
+      // Revoke all refresh and access tokens for this user (force re-login on all devices)
       await db.executeQuery(
         'DELETE FROM refresh_tokens WHERE user_id = ?',
         [userId]
       );
+      await new TokenRevocationService(db).bumpTokenVersion(userId);
 
       return createResponse({
         message: 'Password changed successfully. Please log in again.'
@@ -306,6 +411,125 @@ class AuthRoutes {
     }
   }
 
+  // Request a password reset email (always responds the same way to avoid account enumeration)
+  async forgotPassword(request) {
+    try {
+      const body = await request.json();
+      const validatedData = forgotPasswordSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const user = await this.getAdminUser(db, validatedData.email);
+
+      if (user) {
+        const resetToken = generateSecureRandom(64);
+
+        // Only the most recent reset link stays valid
+        await db.executeQuery(
+          'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+          [user.id]
+        );
+
+        await db.executeQuery(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+           VALUES (?, ?, datetime('now', ?), ?)`,
+          [
+            user.id,
+            await hashString(resetToken),
+            `+${PASSWORD_RESET_TTL_MINUTES} minutes`,
+            request.headers.get('CF-Connecting-IP') || 'unknown'
+          ]
+        );
+
+        const delivery = this.sendPasswordResetEmail(request.env, user, resetToken)
+          .catch(error => console.error('Failed to send password reset email:', error.message));
+
+        // Send in the background so response timing does not reveal whether the account exists
+        if (request.ctx?.waitUntil) {
+          request.ctx.waitUntil(delivery);
+        } else {
+          await delivery;
+        }
+      }
+
+      return createResponse({
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Reset password with a single-use token
+  async resetPassword(request) {
+    try {
+      const body = await request.json();
+      const validatedData = resetPasswordSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const tokenHash = await hashString(validatedData.token);
+
+      const result = await db.executeQuery(
+        `SELECT * FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')`,
+        [tokenHash]
+      );
+      const resetToken = result.results[0];
+
+      if (!resetToken) {
+        return createErrorResponse('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
+      }
+
+      // Consume the token; the used_at guard makes concurrent reuse fail
+      const consumed = await db.executeQuery(
+        'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [resetToken.id]
+      );
+      if (!consumed.meta?.changes) {
+        return createErrorResponse('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
+      }
+
+      const user = await this.getAdminUserById(db, resetToken.user_id);
+      if (!user) {
+        return createErrorResponse('Invalid or expired reset token', 400, 'INVALID_RESET_TOKEN');
+      }
+
+      const newPasswordHash = await hashPassword(validatedData.newPassword);
+      await db.executeQuery(
+        'UPDATE admin_users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [newPasswordHash, user.id]
+      );
+      await recordAudit(request, {
+        action: 'reset_password',
+        resourceType: 'admin_user',
+        resourceId: user.id,
+        before: { password_hash: user.password_hash },
+        after: { password_hash: newPasswordHash },
+        actor: getActor({ userId: user.id, email: user.email })
+      });
+
+      // Revoke all refresh and access tokens for this user (force re-login on all devices)
+      await db.executeQuery(
+        'DELETE FROM refresh_tokens WHERE user_id = ?',
+        [user.id]
+      );
+      await new TokenRevocationService(db).bumpTokenVersion(user.id);
+
+      return createResponse({
+        message: 'Password reset successfully. Please log in with your new password.'
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
   // Get user profile
   async getProfile(request) {
     try {
@@ -336,33 +560,62 @@ class AuthRoutes {
     }
   }
 
-  // Create admin user (for initial setup)
+  // Create the first (owner) admin user
+  // Requires the one-time SETUP_TOKEN secret and is disabled for good once it has succeeded
   async createAdminUser(request) {
     try {
-      const body = await request.json();
-      const validatedData = loginSchema.parse(body);
+      const setupToken = request.env.SETUP_TOKEN;
+      if (!setupToken) {
+        return createErrorResponse('Setup is disabled. Set the SETUP_TOKEN secret to bootstrap the first admin.', 403, 'SETUP_DISABLED');
+      }
 
       const db = new DatabaseService(request.env.DB);
-      
-      // Check if any admin user already exists
-      const existingUser = await db.executeQuery('SELECT COUNT(*) as count FROM admin_users');
-      if (existingUser.results[0]?.count > 0) {
-        return createErrorResponse('Admin user already exists', 403, 'ADMIN_EXISTS');
+
+      if (await this.isSetupCompleted(db)) {
+        return createErrorResponse('Setup has already been completed', 410, 'SETUP_COMPLETED');
       }
 
-      // Hash password
-      const passwordHash = await hashPassword(validatedData.password);
+      const body = await request.json();
+      const validatedData = setupSchema.parse(body);
+
+      const encoder = new TextEncoder();
+      if (!timingSafeEqual(encoder.encode(validatedData.setupToken), encoder.encode(setupToken))) {
+        return createErrorResponse('Invalid setup token', 401, 'INVALID_SETUP_TOKEN');
+      }
 
-      // Create admin user
-      const result = await db.executeQuery(
-        'INSERT INTO admin_users (email, password_hash, role) VALUES (?, ?, ?)',
-        [validatedData.email, passwordHash, 'admin']
+      // Claim setup before creating the user so two concurrent calls cannot both succeed
+      const claim = await db.executeQuery(
+        "INSERT INTO system_state (key, value) VALUES ('setup_completed_at', CURRENT_TIMESTAMP) ON CONFLICT(key) DO NOTHING"
       );
+      if (!claim.meta?.changes) {
+        return createErrorResponse('Setup has already been completed', 410, 'SETUP_COMPLETED');
+      }
+
+      let result;
+      try {
+        const passwordHash = await hashPassword(validatedData.password);
+        result = await db.executeQuery(
+          'INSERT INTO admin_users (email, password_hash, role) VALUES (?, ?, ?)',
+          [validatedData.email, passwordHash, 'owner']
+        );
+      } catch (error) {
+        // Release the claim so setup can be retried
+        await db.executeQuery("DELETE FROM system_state WHERE key = 'setup_completed_at'");
+        throw error;
+      }
+
+      const userId = result.meta.last_row_id;
+      await recordAudit(request, {
+        action: 'setup',
+        resourceType: 'admin_user',
+        resourceId: userId,
+        after: { email: validatedData.email, role: 'owner' },
+        actor: getActor({ userId, email: validatedData.email })
+      });
 
       return createResponse({
-        message: 'Admin user created successfully',
-        userId: result.meta.last_row_id,
-        adminApiKey: request.env.ADMIN_API_KEY || 'API key not configured'
+        message: 'Admin user created successfully. Setup is now disabled; delete the SETUP_TOKEN secret.',
+        userId
       }, 201);
 
     } catch (error) {
@@ -373,7 +626,8 @@ class AuthRoutes {
     }
   }
 
-  // Get admin API key (protected endpoint)
+  // Describe the caller's API keys (protected endpoint)
+  // Plaintext keys are only shown once at creation; the ADMIN_API_KEY secret is never returned
   async getAdminApiKey(request) {
     try {
       const userId = request.user?.userId;
@@ -384,16 +638,19 @@ class AuthRoutes {
       const db = new DatabaseService(request.env.DB);
       const user = await this.getAdminUserById(db, userId);
       
-      if (!user || user.role !== 'admin') {
-        return createErrorResponse('Access denied. Admin role required.', 403, 'ACCESS_DENIED');
+      if (!user || !hasPermission(user.role, 'keys:manage')) {
+        return createErrorResponse('Access denied. Key management permission required.', 403, 'ACCESS_DENIED');
       }
 
+      const keys = await new ApiKeyService(db).listKeys();
+
       return createResponse({
-        adminApiKey: request.env.ADMIN_API_KEY || 'API key not configured',
-        message: 'Admin API key retrieved successfully',
+        keys: keys.filter(key => key.owner_id === user.id),
+        legacyKeyConfigured: Boolean(request.env.ADMIN_API_KEY),
+        message: 'API keys are only shown when created. Use POST /api/admin/regenerate-api-key to get a new one.',
         usage: {
           header: 'X-API-Key',
-          example: `X-API-Key: ${request.env.ADMIN_API_KEY || 'your-api-key-here'}`
+          example: 'X-API-Key: eik_...'
         }
       });
 
@@ -413,21 +670,46 @@ class AuthRoutes {
       const db = new DatabaseService(request.env.DB);
       const user = await this.getAdminUserById(db, userId);
       
-      if (!user || user.role !== 'admin') {
-        return createErrorResponse('Access denied. Admin role required.', 403, 'ACCESS_DENIED');
+      if (!user || !hasPermission(user.role, 'keys:manage')) {
+        return createErrorResponse('Access denied. Key management permission required.', 403, 'ACCESS_DENIED');
       }
 
-      // Generate new API key
-      const newApiKey = 'eleven-interior-admin-' + Date.now() + '-' + Math.random().toString(36).substr(2, 12);
+      // Issue a database-backed key with the user's full permissions (active immediately)
+      const keyService = new ApiKeyService(db);
+      const { key, record } = await keyService.createKey({
+        name: `Admin key for ${user.email}`,
+        ownerId: user.id,
+        scopes: Array.from(ROLE_PERMISSIONS.get(user.role))
+      });
+      await recordAudit(request, { action: 'create', resourceType: 'api_key', resourceId: record.id, after: record });
 
       return createResponse({
-        message: 'New API key generated. Please update your environment variables.',
-        newApiKey: newApiKey,
-        currentApiKey: request.env.ADMIN_API_KEY || 'Not configured',
+        message: 'New API key generated and active immediately. Store it securely, it will not be shown again.',
+        newApiKey: key,
+        key: record,
         instructions: {
-          step1: 'Update ADMIN_API_KEY in wrangler.toml',
-          step2: 'Redeploy the application',
-          step3: 'Update all clients using the old API key'
+          step1: 'Update all clients to send the new key in the X-API-Key header',
+          step2: 'Revoke old keys with DELETE /api/admin/api-keys/:id',
+          step3: 'Remove ADMIN_API_KEY from the environment once no client depends on it'
+        }
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Public verification keys (JWKS) so other services can validate our tokens
+  async getJwks(request) {
+    try {
+      const keyring = await getKeyring(request.env);
+
+      return new Response(JSON.stringify(keyring.getJwks()), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/jwk-set+json',
+          'Cache-Control': 'public, max-age=300'
         }
       });
 
@@ -437,46 +719,133 @@ class AuthRoutes {
   }
 
   // Helper methods
-  async getAdminUser(db, email) {
-    const result = await db.executeQuery(
-      'SELECT * FROM admin_users WHERE email = ? AND is_active = 1',
-      [email]
+
+  // Generate a 24h access token bound to a session
+  async generateAccessToken(user, sessionId, env) {
+    return await signToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      sid: sessionId,
+      jti: crypto.randomUUID(),
+      ver: user.token_version || 0,
+      type: 'access'
+    }, env, '24h');
+  }
+
+  // Start a new session and generate access and refresh tokens for an authenticated user
+  async issueSession(db, user, request) {
+    const { sessionId, token: refreshToken } = await new SessionService(db).createSession(user.id, request);
+    const accessToken = await this.generateAccessToken(user, sessionId, request.env);
+
+    // Update last login
+    await db.executeQuery(
+      'UPDATE admin_users SET last_login = CURRENT_TIMESTAMP WHERE id = ?',
+      [user.id]
     );
-    return result.results[0] || null;
+
+    return {
+      user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        created_at: user.created_at,
+        last_login: new Date().toISOString(),
+        totp_enabled: Boolean(user.totp_enabled)
+      },
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn: 24 * 60 * 60, // 24 hours in seconds
+        tokenType: 'Bearer'
+      },
+      sessionId
+    };
   }
 
-  async getAdminUserById(db, userId) {
+  // Second-factor challenge instead of tokens; completed through /api/auth/2fa/verify
+  async createMfaChallengeResponse(user, env, data = {}) {
+    const challengeToken = await signToken({
+      userId: user.id,
+      type: 'mfa_challenge'
+    }, env, String(MFA_CHALLENGE_TTL));
+
+    return createResponse({
+      ...data,
+      mfaRequired: true,
+      challengeToken,
+      expiresIn: MFA_CHALLENGE_TTL
+    });
+  }
+
+  // Session response: tokens in the body, or in cookie mode HttpOnly cookies plus the CSRF
+  // token the admin app sends back in X-CSRF-Token
+  createSessionResponse(session, env, useCookies = false) {
+    if (!useCookies) {
+      return createResponse(session);
+    }
+
+    const { tokens, ...data } = session;
+    const { csrfToken, cookies } = createSessionCookies(tokens, env);
+
+    return withCookies(createResponse({
+      ...data,
+      csrfToken,
+      tokens: {
+        expiresIn: tokens.expiresIn,
+        tokenType: 'Cookie'
+      }
+    }), cookies);
+  }
+
+  // Clear session cookies on a response when the request used cookie mode
+  endCookieSession(response, env, useCookies) {
+    return useCookies ? withCookies(response, clearSessionCookies(env)) : response;
+  }
+
+  // Emails are stored lowercased; LOWER() also matches accounts created before that
+  async getAdminUser(db, email) {
     const result = await db.executeQuery(
-      'SELECT * FROM admin_users WHERE id = ? AND is_active = 1',
-      [userId]
+      'SELECT * FROM admin_users WHERE LOWER(email) = ? AND is_active = 1',
+      [email.toLowerCase().trim()]
     );
     return result.results[0] || null;
   }
 
-  async storeRefreshToken(db, userId, refreshToken) {
-    // Delete existing refresh tokens for this user (limit to 1 active session)
-    await db.executeQuery('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
-    
-    // Store new refresh token
-    await db.executeQuery(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES (?, ?, datetime("now", "+7 days"))',
-      [userId, refreshToken]
+  // Setup is complete once it has been claimed, or on databases that already have an admin
+  async isSetupCompleted(db) {
+    const result = await db.executeQuery(
+      `SELECT EXISTS (SELECT 1 FROM system_state WHERE key = 'setup_completed_at')
+           OR EXISTS (SELECT 1 FROM admin_users) AS completed`
     );
+    return Boolean(result.results[0]?.completed);
   }
 
-  async verifyRefreshToken(db, refreshToken) {
+  async getAdminUserById(db, userId) {
     const result = await db.executeQuery(
-      'SELECT * FROM refresh_tokens WHERE token = ? AND expires_at > datetime("now") AND is_active = 1',
-      [refreshToken]
+      'SELECT * FROM admin_users WHERE id = ? AND is_active = 1',
+      [userId]
     );
     return result.results[0] || null;
   }
 
-  async revokeRefreshToken(db, refreshToken) {
-    await db.executeQuery(
-      'UPDATE refresh_tokens SET is_active = 0 WHERE token = ?',
-      [refreshToken]
-    );
+  async sendPasswordResetEmail(env, user, resetToken) {
+    const baseUrl = env.ADMIN_APP_URL || 'https://admin.eleveninterior.com';
+    const resetUrl = `${baseUrl.replace(/\/$/, '')}/reset-password?token=${encodeURIComponent(resetToken)}`;
+
+    const transport = createMailTransport(env);
+    await transport.send({
+      to: user.email,
+      subject: 'Reset your Eleven Interior admin password',
+      text: [
+        'We received a request to reset the password for your Eleven Interior admin account.',
+        '',
+        `Reset your password: ${resetUrl}`,
+        '',
+        `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+        'If you did not request this, you can ignore this email.'
+      ].join('\n')
+    });
   }
 }
 
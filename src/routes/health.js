@@ -163,7 +163,9 @@ class HealthRoutes {
           CLOUDINARY_API_KEY: !!request.env.CLOUDINARY_API_KEY,
           CLOUDINARY_API_SECRET: !!request.env.CLOUDINARY_API_SECRET,
           JWT_SECRET: !!request.env.JWT_SECRET,
+          JWT_KEYS: !!request.env.JWT_KEYS,
           ADMIN_API_KEY: !!request.env.ADMIN_API_KEY,
+          SETUP_TOKEN: !!request.env.SETUP_TOKEN,
           DB_BINDING: !!request.env.DB
         }
       };
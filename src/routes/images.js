@@ -7,6 +7,7 @@ import { createCloudinaryService } from '../services/cloudinary.js';
 import { DatabaseService } from '../services/database.js';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { corsHeaders } from '../middleware/cors.js';
+import { recordAudit } from '../services/audit.js';
 import { z } from 'zod';
 
 // Valid image sections (O(1) lookup with Set)
@@ -204,6 +205,7 @@ class ImageRoutes {
       };
 
       const savedMetadata = await db.saveMediaMetadata(metadata);
+      await recordAudit(request, { action: 'create', resourceType: 'image', resourceId: savedMetadata.id, after: savedMetadata });
 
       // Generate responsive URLs
       const responsiveUrls = generateResponsiveUrls(cloudinary, uploadResult.public_id);
@@ -319,6 +321,7 @@ class ImageRoutes {
           };
 
           const savedMetadata = await db.saveMediaMetadata(metadata);
+          await recordAudit(request, { action: 'create', resourceType: 'image', resourceId: savedMetadata.id, after: savedMetadata });
           const responsiveUrls = generateResponsiveUrls(cloudinary, uploadResult.public_id);
 
           return {
@@ -483,6 +486,7 @@ class ImageRoutes {
       }
 
       const updatedImage = await db.updateMediaMetadata(imageId, validatedUpdates);
+      await recordAudit(request, { action: 'update', resourceType: 'image', resourceId: imageId, before: existingImage, after: updatedImage });
       const cloudinary = createCloudinaryService(request.env);
 
       // Generate responsive URLs
@@ -547,6 +551,7 @@ class ImageRoutes {
 
       // Delete metadata from database
       await db.deleteMediaMetadata(imageId);
+      await recordAudit(request, { action: 'delete', resourceType: 'image', resourceId: imageId, before: existingImage });
 
       return createResponse({
         message: `Image deleted successfully`,
@@ -588,7 +593,9 @@ class ImageRoutes {
           throw new ValidationError(`Image with ID ${order.id} not found in ${section} section`);
         }
 
-        return db.updateMediaMetadata(order.id, { sort_order: order.sort_order });
+        const updatedImage = await db.updateMediaMetadata(order.id, { sort_order: order.sort_order });
+        await recordAudit(request, { action: 'reorder', resourceType: 'image', resourceId: order.id, before: image, after: updatedImage });
+        return updatedImage;
       });
 
       await Promise.all(updatePromises);
@@ -4,8 +4,17 @@
  */
 
 import { DatabaseService } from '../services/database.js';
-import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { ValidationError, NotFoundError, ForbiddenError } from '../middleware/errorHandler.js';
 import { corsHeaders } from '../middleware/cors.js';
+import { hasAccess } from '../middleware/auth.js';
+import { recordAudit, recordAuditEntries, getActor } from '../services/audit.js';
+import { LeadRoutingService } from '../services/leadRouting.js';
+import { InquiryActivityService, ACTIVITY_TYPES, LOGGABLE_ACTIVITY_TYPES } from '../services/inquiryActivities.js';
+import { buildFtsQuery, formatSnippet } from '../services/inquirySearch.js';
+import { InquiryStatsService, STATS_INTERVALS } from '../services/inquiryStats.js';
+import { exportInquiries, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, EXPORT_FORMAT_NAMES } from '../services/inquiryExport.js';
+import { IMPORT_FIELDS, parseCsv, resolveColumns, mapRows } from '../services/inquiryImport.js';
+import { parseJsonSafely } from '../utils/validation.js';
 import { z } from 'zod';
 
 // Validation schemas
@@ -26,9 +35,13 @@ const updateInquirySchema = z.object({
   status: z.enum(['pending', 'in_progress', 'completed', 'cancelled']).optional(),
   priority: z.number().int().min(1).max(5).optional(),
   notes: z.string().max(2000).trim().optional(),
-  assigned_to: z.string().max(100).trim().optional()
+  assigned_to: z.string().max(100).trim().optional(),
+  tags: z.array(z.string().min(1).max(50).trim()).max(20).optional()
 });
 
+// Accepts YYYY-MM-DD, YYYY-MM-DD HH:MM:SS or ISO 8601 timestamps
+const dateFilter = z.string().regex(/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z?)?$/, 'Dates must be YYYY-MM-DD or ISO 8601');
+
 const queryParamsSchema = z.object({
   status: z.enum(['pending', 'in_progress', 'completed', 'cancelled']).optional(),
   priority: z.number().int().min(1).max(5).optional(),
@@ -38,7 +51,105 @@ const queryParamsSchema = z.object({
   offset: z.number().int().min(0).optional(),
   sort_by: z.enum(['created_at', 'updated_at', 'priority', 'status', 'name']).optional(),
   sort_order: z.enum(['ASC', 'DESC']).optional(),
-  search: z.string().max(100).optional()
+  search: z.string().max(100).optional(),
+  from: dateFilter.optional(),
+  to: dateFilter.optional(),
+  archived: z.enum(['exclude', 'include', 'only']).optional()
+});
+
+// Same filters as the inquiry list, plus the file format and a comma-separated column list
+const exportQuerySchema = queryParamsSchema.pick({
+  status: true,
+  priority: true,
+  assigned_to: true,
+  email: true,
+  search: true,
+  from: true,
+  to: true,
+  archived: true
+}).extend({
+  format: z.enum(EXPORT_FORMAT_NAMES).optional(),
+  columns: z.string().max(500).optional()
+});
+
+// Bulk operations: a list of ids or a list filter, plus one action
+const MAX_BULK_INQUIRIES = 500;
+
+const bulkTarget = {
+  ids: z.array(z.number().int().positive()).min(1).max(MAX_BULK_INQUIRIES).optional(),
+  filter: queryParamsSchema.pick({
+    status: true,
+    priority: true,
+    assigned_to: true,
+    email: true,
+    search: true,
+    from: true,
+    to: true,
+    archived: true
+  }).strict().optional()
+};
+
+// Triage fields that can be set on many inquiries at once
+const bulkUpdatesSchema = updateInquirySchema.pick({
+  status: true,
+  priority: true,
+  assigned_to: true,
+  tags: true
+}).strict().refine((updates) => Object.keys(updates).length > 0, {
+  message: 'At least one field to update is required'
+});
+
+const bulkSchema = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('update'), updates: bulkUpdatesSchema }),
+  z.object({ action: z.literal('status'), status: z.enum(['pending', 'in_progress', 'completed', 'cancelled']) }),
+  z.object({ action: z.literal('assign'), assigned_to: z.string().min(1).max(100).trim().nullable() }),
+  z.object({ action: z.literal('delete') }),
+  z.object({ action: z.literal('archive') }),
+  z.object({ action: z.literal('unarchive') })
+].map(schema => schema.extend(bulkTarget).strict())).refine((body) => Boolean(body.ids) !== Boolean(body.filter), {
+  message: 'Provide either ids or filter'
+});
+
+// Import column mapping: inquiry field -> CSV header
+const importMappingSchema = z.object(
+  Object.fromEntries(IMPORT_FIELDS.map(field => [field, z.string().min(1).max(200).optional()]))
+).strict();
+
+// Import limits keep a single request within D1 query and Worker CPU budgets
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024; // 2MB
+const MAX_IMPORT_ROWS = 500;
+
+// Descriptions at least this similar (Jaccard) from the same email count as duplicates
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+
+// Timeline entries logged by the sales team (status changes are recorded by updateInquiry)
+const createActivitySchema = z.object({
+  type: z.enum(LOGGABLE_ACTIVITY_TYPES),
+  body: z.string().max(5000).trim().optional(),
+  occurred_at: z.string().datetime({ offset: true }).optional(),
+  metadata: z.object({
+    direction: z.enum(['inbound', 'outbound']).optional(),
+    duration_minutes: z.number().int().min(0).max(1440).optional(),
+    outcome: z.string().max(200).trim().optional(),
+    subject: z.string().max(200).trim().optional()
+  }).strict().optional()
+}).refine((activity) => activity.type !== 'note' || activity.body, {
+  message: 'Notes need a body'
+});
+
+const activityQuerySchema = z.object({
+  type: z.enum(ACTIVITY_TYPES).optional(),
+  limit: z.number().int().min(1).max(500).optional(),
+  offset: z.number().int().min(0).optional()
+});
+
+const statsQuerySchema = z.object({
+  from: dateFilter.optional(),
+  to: dateFilter.optional(),
+  interval: z.enum(STATS_INTERVALS).optional(),
+  archived: z.enum(['exclude', 'include', 'only']).optional()
+}).refine((query) => !query.from || !query.to || query.from.slice(0, 10) <= query.to.slice(0, 10), {
+  message: "'from' must not be after 'to'"
 });
 
 // Valid status transitions (business logic optimization)
@@ -58,37 +169,6 @@ const PRIORITY_LEVELS = new Map([
   [5, 'Backlog']
 ]);
 
-// Helper function to sanitize search query
-function sanitizeSearchQuery(query) {
-  if (!query) return null;
-  
-  // Remove special characters and normalize
-  return query
-    .replace(/[^\w\s@.-]/g, '')
-    .trim()
-    .toLowerCase();
-}
-
-// Helper function to build search conditions
-function buildSearchConditions(searchQuery) {
-  if (!searchQuery) return { conditions: [], params: [] };
-  
-  const searchConditions = [
-    'LOWER(name) LIKE ?',
-    'LOWER(email) LIKE ?',
-    'LOWER(location) LIKE ?',
-    'LOWER(project_description) LIKE ?'
-  ];
-  
-  const searchParam = `%${searchQuery}%`;
-  const searchParams = new Array(searchConditions.length).fill(searchParam);
-  
-  return {
-    conditions: [`(${searchConditions.join(' OR ')})`],
-    params: searchParams
-  };
-}
-
 // Create standardized response
 function createResponse(data, status = 200, meta = null) {
   const response = {
@@ -110,12 +190,32 @@ function createResponse(data, status = 200, meta = null) {
   });
 }
 
+// Inquiry ID from /.../inquiries/:id or /.../inquiries/:id/<sub-resource>
+function getInquiryId(request) {
+  const segments = new URL(request.url).pathname.split('/');
+  return parseInt(segments[segments.indexOf('inquiries') + 1]);
+}
+
+// Rethrow zod failures as validation errors so they are reported as 400s
+function parseOrThrow(schema, data) {
+  try {
+    return schema.parse(data);
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      throw new ValidationError(error.errors[0].message);
+    }
+    throw error;
+  }
+}
+
 // Enhance inquiry data with computed fields
 function enhanceInquiryData(inquiry) {
   if (!inquiry) return null;
   
   return {
     ...inquiry,
+    tags: parseJsonSafely(inquiry.tags, []) || [],
+    is_archived: Boolean(inquiry.archived_at),
     priority_label: PRIORITY_LEVELS.get(inquiry.priority) || 'Unknown',
     created_ago: getTimeAgo(inquiry.created_at),
     updated_ago: getTimeAgo(inquiry.updated_at),
@@ -151,6 +251,11 @@ class InquiryRoutes {
     this.updateInquiry = this.updateInquiry.bind(this);
     this.deleteInquiry = this.deleteInquiry.bind(this);
     this.getInquiryStats = this.getInquiryStats.bind(this);
+    this.exportInquiries = this.exportInquiries.bind(this);
+    this.importInquiries = this.importInquiries.bind(this);
+    this.bulkInquiries = this.bulkInquiries.bind(this);
+    this.getActivities = this.getActivities.bind(this);
+    this.addActivity = this.addActivity.bind(this);
   }
 
   // Create new inquiry (public endpoint)
@@ -163,6 +268,7 @@ class InquiryRoutes {
       const db = new DatabaseService(request.env.DB);
       const recentInquiries = await db.getInquiries({
         email: validatedData.email,
+        archived: 'include',
         limit: 5,
         sortBy: 'created_at',
         sortOrder: 'DESC'
@@ -181,7 +287,7 @@ class InquiryRoutes {
           recentInquiry.project_description.toLowerCase()
         );
         
-        if (similarity > 0.8) { // 80% similarity threshold
+        if (similarity > DUPLICATE_SIMILARITY_THRESHOLD) {
           throw new ValidationError('A similar inquiry was submitted recently. Please wait 24 hours before submitting another inquiry or contact us directly.');
         }
       }
@@ -193,8 +299,26 @@ class InquiryRoutes {
         status: 'pending'
       };
 
+      // Apply the first matching routing rule (assignee, priority, tags); a routing failure
+      // must not lose the lead, so it is logged and the inquiry is saved unrouted
+      const routing = await new LeadRoutingService(db, request.env).routeInquiry(inquiryData)
+        .catch(error => {
+          console.error('Lead routing failed:', error.message);
+          return null;
+        });
+
+      if (routing) {
+        Object.assign(inquiryData, routing);
+      }
+
       const newInquiry = await db.createInquiry(inquiryData);
-      const enhancedInquiry = enhanceInquiryData(newInquiry);
+
+      // Start the timeline; like routing, this must not fail a saved lead
+      await new InquiryActivityService(db).recordStatusChange(newInquiry.id, null, newInquiry.status, getActor(null))
+        .catch(error => console.error('Failed to record inquiry activity:', error.message));
+
+      // Internal routing details are not shown to the person submitting the form
+      const { assigned_to, tags, routing_rule_id, ...enhancedInquiry } = enhanceInquiryData(newInquiry);
 
       // Log the API call for analytics
       await db.logApiCall({
@@ -234,47 +358,45 @@ class InquiryRoutes {
       const validatedParams = queryParamsSchema.parse(queryParams);
       const db = new DatabaseService(request.env.DB);
 
+      // Full-text search over name, email, phone, location, description and notes;
+      // results are ranked by relevance unless sort_by is given
+      const search = buildFtsQuery(validatedParams.search);
+
       // Build query options
       const options = {
         status: validatedParams.status,
         priority: validatedParams.priority,
         assigned_to: validatedParams.assigned_to,
         email: validatedParams.email,
+        from: validatedParams.from,
+        to: validatedParams.to,
+        archived: validatedParams.archived,
+        search,
         limit: validatedParams.limit || 20,
         offset: validatedParams.offset || 0,
-        sortBy: validatedParams.sort_by || 'created_at',
+        sortBy: validatedParams.sort_by || (search ? undefined : 'created_at'),
         sortOrder: validatedParams.sort_order || 'DESC'
       };
 
-      // Handle search query
-      let searchConditions = { conditions: [], params: [] };
-      if (validatedParams.search) {
-        const sanitizedSearch = sanitizeSearchQuery(validatedParams.search);
-        if (sanitizedSearch) {
-          searchConditions = buildSearchConditions(sanitizedSearch);
-        }
-      }
-
       // Get inquiries
       const inquiries = await db.getInquiries(options);
-      
-      // Filter by search if needed (since D1 doesn't support complex search queries easily)
-      let filteredResults = inquiries.results;
-      if (searchConditions.conditions.length > 0) {
-        const searchTerm = validatedParams.search.toLowerCase();
-        filteredResults = inquiries.results.filter(inquiry => {
-          return inquiry.name.toLowerCase().includes(searchTerm) ||
-                 inquiry.email.toLowerCase().includes(searchTerm) ||
-                 inquiry.location.toLowerCase().includes(searchTerm) ||
-                 inquiry.project_description.toLowerCase().includes(searchTerm);
-        });
-      }
 
-      // Enhance inquiry data
-      const enhancedInquiries = filteredResults.map(enhanceInquiryData);
+      // Enhance inquiry data; search results also carry their relevance and a highlighted snippet
+      const enhancedInquiries = inquiries.results.map(({ search_rank, search_snippet, ...inquiry }) => {
+        const enhanced = enhanceInquiryData(inquiry);
+
+        if (search) {
+          enhanced.search = {
+            score: Math.round(-search_rank * 1000) / 1000,
+            snippet: formatSnippet(search_snippet)
+          };
+        }
+
+        return enhanced;
+      });
 
-      // Get total count for pagination
-      const totalCount = await this.getTotalInquiriesCount(db, validatedParams);
+      // Get total count for pagination (same filters and search as the page)
+      const totalCount = await db.countInquiries(options);
 
       return createResponse(enhancedInquiries, 200, {
         pagination: {
@@ -287,7 +409,10 @@ class InquiryRoutes {
           status: validatedParams.status,
           priority: validatedParams.priority,
           search: validatedParams.search,
-          assigned_to: validatedParams.assigned_to
+          assigned_to: validatedParams.assigned_to,
+          from: validatedParams.from,
+          to: validatedParams.to,
+          archived: validatedParams.archived
         }
       });
 
@@ -296,11 +421,12 @@ class InquiryRoutes {
     }
   }
 
-  // Get single inquiry by ID (admin endpoint)
+  // Get single inquiry by ID (admin endpoint); ?include=activities embeds the timeline
   async getInquiry(request) {
     try {
       const url = new URL(request.url);
       const inquiryId = parseInt(url.pathname.split('/').pop());
+      const include = new Set((url.searchParams.get('include') || '').split(',').map(part => part.trim()));
 
       if (!inquiryId || isNaN(inquiryId)) {
         throw new ValidationError('Valid inquiry ID is required');
@@ -315,6 +441,12 @@ class InquiryRoutes {
 
       const enhancedInquiry = enhanceInquiryData(inquiry);
 
+      if (include.has('activities')) {
+        const timeline = await new InquiryActivityService(db).listActivities(inquiryId, { limit: 500 });
+        enhancedInquiry.activities = timeline.activities;
+        enhancedInquiry.activities_total = timeline.total;
+      }
+
       return createResponse(enhancedInquiry);
 
     } catch (error) {
@@ -354,6 +486,19 @@ class InquiryRoutes {
       }
 
       const updatedInquiry = await db.updateInquiry(inquiryId, validatedUpdates);
+      await recordAudit(request, { action: 'update', resourceType: 'inquiry', resourceId: inquiryId, before: currentInquiry, after: updatedInquiry });
+
+      // The notes column only holds the latest text, so changes are also kept on the timeline
+      const activities = new InquiryActivityService(db);
+      const actor = getActor(request.user);
+
+      if (updatedInquiry.status !== currentInquiry.status) {
+        await activities.recordStatusChange(inquiryId, currentInquiry.status, updatedInquiry.status, actor);
+      }
+
+      if (validatedUpdates.notes && validatedUpdates.notes !== currentInquiry.notes) {
+        await activities.addActivity(inquiryId, { type: 'note', body: validatedUpdates.notes }, actor);
+      }
       const enhancedInquiry = enhanceInquiryData(updatedInquiry);
 
       return createResponse(enhancedInquiry, 200, {
@@ -386,6 +531,7 @@ class InquiryRoutes {
       }
 
       await db.deleteInquiry(inquiryId);
+      await recordAudit(request, { action: 'delete', resourceType: 'inquiry', resourceId: inquiryId, before: inquiry });
 
       return createResponse({
         message: 'Inquiry deleted successfully',
@@ -402,44 +548,264 @@ class InquiryRoutes {
     }
   }
 
-  // Get inquiry statistics (admin endpoint)
+  // Get an inquiry's timeline, oldest first (admin endpoint)
+  async getActivities(request) {
+    try {
+      const url = new URL(request.url);
+      const inquiryId = getInquiryId(request);
+
+      if (!inquiryId || isNaN(inquiryId)) {
+        throw new ValidationError('Valid inquiry ID is required');
+      }
+
+      const queryParams = {};
+      for (const [key, value] of url.searchParams.entries()) {
+        queryParams[key] = key === 'limit' || key === 'offset' ? parseInt(value) : value;
+      }
+
+      const validatedParams = parseOrThrow(activityQuerySchema, queryParams);
+      const db = new DatabaseService(request.env.DB);
+
+      if (!(await db.getInquiry(inquiryId))) {
+        throw new NotFoundError(`Inquiry with ID ${inquiryId}`);
+      }
+
+      const limit = validatedParams.limit || 100;
+      const offset = validatedParams.offset || 0;
+      const { activities, total } = await new InquiryActivityService(db).listActivities(inquiryId, {
+        type: validatedParams.type,
+        limit,
+        offset
+      });
+
+      return createResponse(activities, 200, {
+        pagination: {
+          total,
+          limit,
+          offset,
+          has_more: (offset + limit) < total
+        }
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Log a note, call, email or site visit against an inquiry (admin endpoint)
+  async addActivity(request) {
+    try {
+      const inquiryId = getInquiryId(request);
+
+      if (!inquiryId || isNaN(inquiryId)) {
+        throw new ValidationError('Valid inquiry ID is required');
+      }
+
+      const body = await request.json();
+      const validatedData = parseOrThrow(createActivitySchema, body);
+      const db = new DatabaseService(request.env.DB);
+
+      if (!(await db.getInquiry(inquiryId))) {
+        throw new NotFoundError(`Inquiry with ID ${inquiryId}`);
+      }
+
+      const activity = await new InquiryActivityService(db).addActivity(inquiryId, {
+        type: validatedData.type,
+        body: validatedData.body,
+        metadata: validatedData.metadata,
+        occurredAt: validatedData.occurred_at
+      }, getActor(request.user));
+
+      return createResponse(activity, 201, {
+        message: 'Activity logged successfully'
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get inquiry statistics for inquiries created in an optional date range (admin endpoint)
   async getInquiryStats(request) {
     try {
+      const url = new URL(request.url);
+      const query = parseOrThrow(statsQuerySchema, Object.fromEntries(url.searchParams.entries()));
+      const interval = query.interval || 'day';
+
       const db = new DatabaseService(request.env.DB);
-      
-      // Get all inquiries for statistics
-      const allInquiries = await db.getInquiries({ limit: 1000 });
-      const inquiries = allInquiries.results;
-
-      // Calculate statistics
-      const stats = {
-        total_inquiries: inquiries.length,
-        by_status: {
-          pending: inquiries.filter(i => i.status === 'pending').length,
-          in_progress: inquiries.filter(i => i.status === 'in_progress').length,
-          completed: inquiries.filter(i => i.status === 'completed').length,
-          cancelled: inquiries.filter(i => i.status === 'cancelled').length
-        },
-        by_priority: {
-          critical: inquiries.filter(i => i.priority === 1).length,
-          high: inquiries.filter(i => i.priority === 2).length,
-          medium: inquiries.filter(i => i.priority === 3).length,
-          low: inquiries.filter(i => i.priority === 4).length,
-          backlog: inquiries.filter(i => i.priority === 5).length
-        },
-        urgent_inquiries: inquiries.filter(i => i.priority <= 2 && i.status === 'pending').length,
-        average_response_time: this.calculateAverageResponseTime(inquiries),
-        this_month: inquiries.filter(i => {
-          const created = new Date(i.created_at);
-          const now = new Date();
-          return created.getMonth() === now.getMonth() && created.getFullYear() === now.getFullYear();
-        }).length,
-        completion_rate: this.calculateCompletionRate(inquiries)
-      };
+      const stats = await new InquiryStatsService(db).getStats({
+        from: query.from,
+        to: query.to,
+        interval,
+        archived: query.archived
+      });
 
       return createResponse(stats, 200, {
         calculated_at: new Date().toISOString(),
-        period: 'all_time'
+        period: {
+          from: query.from || null,
+          to: query.to || null,
+          interval
+        },
+        archived: query.archived || 'exclude'
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Apply one action to many inquiries (admin endpoint)
+  // Rows are checked individually (missing, unchanged, invalid status transition) and the accepted
+  // changes run in a single D1 batch; the response reports a result for every id
+  async bulkInquiries(request) {
+    try {
+      const body = await request.json();
+      const command = parseOrThrow(bulkSchema, body);
+
+      // The route itself only needs inquiries:write
+      if (command.action === 'delete' && !hasAccess(request.user, 'inquiries:delete')) {
+        throw new ForbiddenError('Bulk delete requires the inquiries:delete permission');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+      let ids;
+      let rows;
+
+      if (command.ids) {
+        ids = [...new Set(command.ids)];
+        rows = await db.getInquiriesByIds(ids);
+      } else {
+        const { filter } = command;
+        const matched = await db.getInquiries({
+          ...filter,
+          search: buildFtsQuery(filter.search),
+          sortBy: 'id',
+          sortOrder: 'ASC',
+          limit: MAX_BULK_INQUIRIES + 1
+        });
+
+        if (matched.results.length > MAX_BULK_INQUIRIES) {
+          throw new ValidationError(`Filter matches more than ${MAX_BULK_INQUIRIES} inquiries; narrow it down or send ids`);
+        }
+
+        rows = matched.results;
+        ids = rows.map(row => row.id);
+      }
+
+      const current = new Map(rows.map(row => [row.id, row]));
+      const updates = command.action === 'update' ? command.updates
+        : command.action === 'status' ? { status: command.status }
+        : command.action === 'assign' ? { assigned_to: command.assigned_to }
+        : null;
+
+      const activities = new InquiryActivityService(db);
+      const actor = getActor(request.user);
+      const results = new Map();
+      const queries = [];
+      const planned = [];
+
+      for (const id of ids) {
+        const inquiry = current.get(id);
+
+        if (!inquiry) {
+          results.set(id, { id, result: 'not_found' });
+          continue;
+        }
+
+        if (command.action === 'delete') {
+          queries.push({ sql: 'DELETE FROM inquiries WHERE id = ?', params: [id] });
+          planned.push({ id, index: queries.length - 1, result: 'deleted' });
+          continue;
+        }
+
+        if (command.action === 'archive' || command.action === 'unarchive') {
+          const archive = command.action === 'archive';
+
+          if (Boolean(inquiry.archived_at) === archive) {
+            results.set(id, { id, result: 'unchanged' });
+            continue;
+          }
+
+          queries.push({
+            sql: archive
+              ? 'UPDATE inquiries SET archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NULL'
+              : 'UPDATE inquiries SET archived_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND archived_at IS NOT NULL',
+            params: [id]
+          });
+          planned.push({ id, index: queries.length - 1, result: archive ? 'archived' : 'unarchived' });
+          continue;
+        }
+
+        const changes = getChangedFields(inquiry, updates);
+
+        if (Object.keys(changes).length === 0) {
+          results.set(id, { id, result: 'unchanged' });
+          continue;
+        }
+
+        // Same transition rules as updateInquiry, per row
+        if (changes.status) {
+          const allowedTransitions = STATUS_TRANSITIONS.get(inquiry.status);
+
+          if (!allowedTransitions || !allowedTransitions.has(changes.status)) {
+            results.set(id, {
+              id,
+              result: 'rejected',
+              error: `Invalid status transition from '${inquiry.status}' to '${changes.status}'`
+            });
+            continue;
+          }
+        }
+
+        // A status change only applies if nobody changed the status since it was read
+        queries.push(db.buildInquiryUpdate(id, changes, { expectedStatus: changes.status ? inquiry.status : null }));
+        planned.push({ id, index: queries.length - 1, result: 'updated' });
+
+        if (changes.status) {
+          queries.push(activities.statusChangeQuery(id, inquiry.status, changes.status, actor, { afterUpdate: true }));
+        }
+      }
+
+      if (queries.length > 0) {
+        const batchResults = await db.executeBatch(queries);
+        db.clearInquiryCache();
+
+        for (const { id, index, result } of planned) {
+          results.set(id, batchResults[index].meta?.changes > 0
+            ? { id, result }
+            : { id, result: 'conflict', error: 'Inquiry was changed or removed while the bulk operation ran' });
+        }
+      }
+
+      const orderedResults = ids.map(id => results.get(id));
+      const succeeded = orderedResults.filter(entry => !['not_found', 'unchanged', 'rejected', 'conflict'].includes(entry.result));
+
+      // One entry per inquiry with its before and after rows, as the single-item handlers log
+      if (succeeded.length > 0) {
+        const succeededIds = succeeded.map(entry => entry.id);
+        const updatedRows = command.action === 'delete'
+          ? new Map()
+          : new Map((await db.getInquiriesByIds(succeededIds)).map(row => [row.id, row]));
+
+        await recordAuditEntries(request, succeededIds.map(id => ({
+          action: `bulk_${command.action}`,
+          resourceType: 'inquiry',
+          resourceId: id,
+          before: current.get(id),
+          after: updatedRows.get(id) || null
+        })));
+      }
+
+      const summary = { requested: ids.length, succeeded: succeeded.length };
+      for (const entry of orderedResults) {
+        summary[entry.result] = (summary[entry.result] || 0) + 1;
+      }
+
+      return createResponse({
+        action: command.action,
+        summary,
+        results: orderedResults
       });
 
     } catch (error) {
@@ -447,41 +813,237 @@ class InquiryRoutes {
     }
   }
 
-  // Helper methods
-  async getTotalInquiriesCount(db, filters) {
-    // For simplicity, get all and count (in production, you'd want a COUNT query)
-    const options = {
-      status: filters.status,
-      priority: filters.priority,
-      assigned_to: filters.assigned_to,
-      email: filters.email
-    };
-    
-    const allInquiries = await db.getInquiries(options);
-    return allInquiries.results.length;
+  // Create inquiries from an uploaded CSV (admin endpoint)
+  // multipart/form-data: file (CSV), mapping (JSON { field: header }, optional), dry_run (optional)
+  // Every row is validated like the public form and checked for duplicates; the response reports each row
+  async importInquiries(request) {
+    try {
+      const contentType = request.headers.get('Content-Type') || '';
+      if (!contentType.includes('multipart/form-data')) {
+        throw new ValidationError('Content-Type must be multipart/form-data');
+      }
+
+      const formData = await request.formData();
+      const file = formData.get('file');
+      const dryRun = ['true', '1'].includes(String(formData.get('dry_run')).toLowerCase());
+
+      if (!file || !(file instanceof File)) {
+        throw new ValidationError('CSV file is required');
+      }
+
+      if (file.size > MAX_IMPORT_BYTES) {
+        throw new ValidationError(`CSV file too large. Maximum size: ${MAX_IMPORT_BYTES / (1024 * 1024)}MB`);
+      }
+
+      let mapping = {};
+      if (formData.get('mapping')) {
+        const rawMapping = parseJsonSafely(formData.get('mapping'));
+        if (!rawMapping || typeof rawMapping !== 'object') {
+          throw new ValidationError('mapping must be a JSON object of field to CSV column');
+        }
+        mapping = parseOrThrow(importMappingSchema, rawMapping);
+      }
+
+      const rows = parseCsv(await file.text());
+      if (rows.length < 2) {
+        throw new ValidationError('CSV must have a header row and at least one data row');
+      }
+
+      const records = mapRows(rows, resolveColumns(rows[0], mapping));
+      if (records.length > MAX_IMPORT_ROWS) {
+        throw new ValidationError(`Too many rows (${records.length}). Maximum per import: ${MAX_IMPORT_ROWS}`);
+      }
+
+      const validated = records.map(record => ({ row: record.row, result: createInquirySchema.safeParse(record.data) }));
+      const db = new DatabaseService(request.env.DB);
+
+      // Earlier inquiries per email, checked like createInquiry (but without its 24 hour window,
+      // so importing the same sheet twice is caught); accepted rows join the list as they are seen
+      const previous = new Map();
+      const emails = validated.filter(({ result }) => result.success).map(({ result }) => result.data.email);
+      for (const inquiry of await db.getInquiriesByEmails(emails)) {
+        if (!previous.has(inquiry.email)) previous.set(inquiry.email, []);
+        previous.get(inquiry.email).push(inquiry);
+      }
+
+      const report = [];
+      const accepted = [];
+
+      for (const { row, result } of validated) {
+        if (!result.success) {
+          report.push({
+            row,
+            status: 'invalid',
+            errors: result.error.errors.map(issue => ({ field: issue.path.join('.'), message: issue.message }))
+          });
+          continue;
+        }
+
+        const data = result.data;
+        const candidates = previous.get(data.email) || [];
+        const duplicate = findDuplicate(candidates, data.project_description);
+
+        if (duplicate) {
+          report.push({
+            row,
+            status: 'skipped',
+            reason: duplicate.id ? `Duplicate of inquiry ${duplicate.id}` : `Duplicate of row ${duplicate.row}`
+          });
+          continue;
+        }
+
+        candidates.push({ row, project_description: data.project_description });
+        previous.set(data.email, candidates);
+
+        const entry = { row, status: 'created', inquiry_id: null };
+        report.push(entry);
+        accepted.push({ entry, data: { ...data, priority: calculateAutoPriority(data), status: 'pending' } });
+      }
+
+      if (!dryRun && accepted.length > 0) {
+        // Route like the public form; routing failures leave the row unrouted rather than failing the import
+        const routing = new LeadRoutingService(db, request.env);
+        const rules = await routing.getActiveRules().catch(error => {
+          console.error('Lead routing failed:', error.message);
+          return [];
+        });
+        const now = new Date();
+
+        for (const { data } of accepted) {
+          const routed = await routing.routeInquiry(data, now, rules).catch(error => {
+            console.error('Lead routing failed:', error.message);
+            return null;
+          });
+          if (routed) Object.assign(data, routed);
+        }
+
+        const ids = await db.createInquiries(accepted.map(({ data }) => data));
+        ids.forEach((id, index) => { accepted[index].entry.inquiry_id = id; });
+
+        const actor = getActor(request.user);
+        await new InquiryActivityService(db)
+          .recordStatusChanges(ids.map(inquiryId => ({ inquiryId, toStatus: 'pending' })), actor)
+          .catch(error => console.error('Failed to record inquiry activity:', error.message));
+
+        await recordAudit(request, {
+          action: 'import',
+          resourceType: 'inquiry',
+          after: { file: file.name, created: ids.length, inquiry_ids: ids }
+        });
+      }
+
+      const summary = {
+        total: report.length,
+        created: accepted.length,
+        skipped: report.filter(entry => entry.status === 'skipped').length,
+        invalid: report.filter(entry => entry.status === 'invalid').length
+      };
+
+      return createResponse({ dry_run: dryRun, summary, rows: report }, !dryRun && accepted.length > 0 ? 201 : 200, {
+        message: dryRun ? 'Dry run complete; no inquiries were created' : `Imported ${accepted.length} inquiries`
+      });
+
+    } catch (error) {
+      throw error;
+    }
   }
 
-  calculateAverageResponseTime(inquiries) {
-    const respondedInquiries = inquiries.filter(i => i.status !== 'pending');
-    
-    if (respondedInquiries.length === 0) return 0;
-    
-    const totalResponseTime = respondedInquiries.reduce((total, inquiry) => {
-      const created = new Date(inquiry.created_at);
-      const updated = new Date(inquiry.updated_at);
-      return total + (updated - created);
-    }, 0);
-    
-    const averageMs = totalResponseTime / respondedInquiries.length;
-    return Math.round(averageMs / (1000 * 60 * 60)); // Convert to hours
+  // Download matching inquiries as CSV or XLSX, streamed page by page (admin endpoint)
+  async exportInquiries(request) {
+    try {
+      const url = new URL(request.url);
+      const queryParams = Object.fromEntries(url.searchParams.entries());
+
+      if (queryParams.priority !== undefined) {
+        queryParams.priority = parseInt(queryParams.priority);
+      }
+
+      const query = parseOrThrow(exportQuerySchema, queryParams);
+      const format = query.format || 'csv';
+      const columns = parseExportColumns(query.columns);
+
+      const filters = {
+        status: query.status,
+        priority: query.priority,
+        assigned_to: query.assigned_to,
+        email: query.email,
+        search: buildFtsQuery(query.search),
+        from: query.from,
+        to: query.to,
+        archived: query.archived
+      };
+
+      // Exports copy customer contact details out of the system, so they are audited
+      await recordAudit(request, {
+        action: 'export',
+        resourceType: 'inquiry',
+        after: {
+          format,
+          columns,
+          filters: {
+            status: query.status,
+            priority: query.priority,
+            assigned_to: query.assigned_to,
+            email: query.email,
+            search: query.search,
+            from: query.from,
+            to: query.to,
+            archived: query.archived
+          }
+        }
+      });
+
+      const db = new DatabaseService(request.env.DB);
+      const { stream, contentType, extension } = exportInquiries(db, filters, { format, columns });
+      const filename = `inquiries-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+      return new Response(stream, {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`
+        }
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Find an earlier inquiry (existing or from the same import) with a near-identical description
+function findDuplicate(candidates, description) {
+  const text = description.toLowerCase();
+  return candidates.find(candidate =>
+    calculateSimilarity(text, candidate.project_description.toLowerCase()) > DUPLICATE_SIMILARITY_THRESHOLD
+  );
+}
+
+// Fields in updates that differ from the inquiry's current values
+function getChangedFields(inquiry, updates) {
+  return Object.fromEntries(Object.entries(updates).filter(([field, value]) => {
+    const current = field === 'tags' ? parseJsonSafely(inquiry.tags, []) || [] : inquiry[field] ?? null;
+    return JSON.stringify(current) !== JSON.stringify(value);
+  }));
+}
+
+// Export-column list from the query string, validated against the exportable columns
+function parseExportColumns(value) {
+  if (!value) return DEFAULT_EXPORT_COLUMNS;
+
+  const columns = [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.find(column => !EXPORT_COLUMNS.has(column));
+
+  if (unknown) {
+    throw new ValidationError(`Unknown export column '${unknown}'. Available: ${Array.from(EXPORT_COLUMNS.keys()).join(', ')}`);
   }
 
-  calculateCompletionRate(inquiries) {
-    if (inquiries.length === 0) return 0;
-    
-    const completedCount = inquiries.filter(i => i.status === 'completed').length;
-    return Math.round((completedCount / inquiries.length) * 100);
+  if (columns.length === 0) {
+    throw new ValidationError('At least one export column is required');
   }
+
+  return columns;
 }
 
 // Helper function to calculate automatic priority
@@ -0,0 +1,348 @@
+/**
+ * Invitation Routes - Onboard admin users with expiring invite links
+ * Owners and admins create, list and revoke invites; the invitee previews the invite
+ * and sets a password to create their account.
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { VALID_ROLES } from '../middleware/auth.js';
+import { hashPassword } from '../services/password.js';
+import { InvitationService, INVITATION_STATUSES, getInvitationTtlDays, MAX_INVITATION_TTL_DAYS } from '../services/invitations.js';
+import { createMailTransport } from '../services/mail.js';
+import { recordAudit, getActor } from '../services/audit.js';
+import { validatePagination } from '../utils/validation.js';
+import { z } from 'zod';
+
+// Validation schemas
+const createInvitationSchema = z.object({
+  email: z.string().email('Invalid email format').max(255).toLowerCase().trim(),
+  role: z.enum(VALID_ROLES),
+  expiresInDays: z.number().int().min(1).max(MAX_INVITATION_TTL_DAYS).optional()
+});
+
+const acceptInvitationSchema = z.object({
+  password: z.string().min(8, 'Password must be at least 8 characters'),
+  confirmPassword: z.string().min(8, 'Confirm password is required')
+}).refine((data) => data.password === data.confirmPassword, {
+  message: "Passwords don't match",
+  path: ['confirmPassword']
+});
+
+const listInvitationsSchema = z.object({
+  status: z.enum([...INVITATION_STATUSES, 'all']).optional(),
+  limit: z.string().optional(),
+  offset: z.string().optional()
+});
+
+// Why an invite that exists can no longer be used
+const UNAVAILABLE_MESSAGES = new Map([
+  ['accepted', 'This invitation has already been accepted'],
+  ['revoked', 'This invitation has been revoked'],
+  ['expired', 'This invitation has expired']
+]);
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Extract the invite token from /api/auth/invitations/:token[/accept]; null when it is not valid percent-encoding
+function getTokenFromPath(request, hasAction = false) {
+  const parts = new URL(request.url).pathname.split('/');
+  try {
+    return decodeURIComponent(parts[parts.length - (hasAction ? 2 : 1)]);
+  } catch {
+    return null;
+  }
+}
+
+function getInviteUrl(env, token) {
+  const baseUrl = env.ADMIN_APP_URL || 'https://admin.eleveninterior.com';
+  return `${baseUrl.replace(/\/$/, '')}/accept-invite?token=${encodeURIComponent(token)}`;
+}
+
+class InvitationRoutes {
+  constructor() {
+    this.createInvitation = this.createInvitation.bind(this);
+    this.listInvitations = this.listInvitations.bind(this);
+    this.revokeInvitation = this.revokeInvitation.bind(this);
+    this.previewInvitation = this.previewInvitation.bind(this);
+    this.acceptInvitation = this.acceptInvitation.bind(this);
+  }
+
+  // Create an invite for an email and role and email the link to the invitee
+  async createInvitation(request) {
+    try {
+      const body = await request.json();
+      const validatedData = createInvitationSchema.parse(body);
+
+      if (validatedData.role === 'owner' && request.user?.role !== 'owner') {
+        return createErrorResponse('Only owners can grant the owner role', 403, 'ACCESS_DENIED');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+
+      const existing = await db.executeQuery(
+        'SELECT id FROM admin_users WHERE LOWER(email) = ?',
+        [validatedData.email]
+      );
+      if (existing.results.length > 0) {
+        return createErrorResponse('A user with this email already exists', 409, 'USER_EXISTS');
+      }
+
+      const invitations = new InvitationService(db, request.env);
+      const { invitation, token } = await invitations.createInvitation({
+        email: validatedData.email,
+        role: validatedData.role,
+        invitedBy: request.user?.userId || null,
+        ttlDays: getInvitationTtlDays(request.env, validatedData.expiresInDays)
+      });
+
+      await recordAudit(request, { action: 'create', resourceType: 'invitation', resourceId: invitation.id, after: invitation });
+
+      const inviteUrl = getInviteUrl(request.env, token);
+
+      // Sent before responding so the admin knows whether to pass the link on themselves
+      let emailSent = false;
+      try {
+        const delivery = await this.sendInvitationEmail(request.env, invitation, inviteUrl);
+        emailSent = delivery.delivered;
+      } catch (error) {
+        console.error('Failed to send invitation email:', error.message);
+      }
+
+      return createResponse({
+        message: 'Invitation created successfully',
+        invitation,
+        inviteUrl,
+        emailSent,
+        note: emailSent
+          ? 'The link has been emailed to the invitee. It will not be shown again.'
+          : 'The invitation email was not sent; share the link with the invitee yourself. It will not be shown again.'
+      }, 201);
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // List invitations (pending by default; ?status=accepted|revoked|expired|all)
+  async listInvitations(request) {
+    try {
+      const url = new URL(request.url);
+      const query = listInvitationsSchema.parse(Object.fromEntries(url.searchParams.entries()));
+      const { limit, offset } = validatePagination(query.limit, query.offset);
+
+      const invitations = new InvitationService(new DatabaseService(request.env.DB), request.env);
+      const result = await invitations.listInvitations({ status: query.status || 'pending' }, { limit, offset });
+
+      return createResponse({
+        invitations: result.invitations,
+        pagination: {
+          total: result.total,
+          limit,
+          offset,
+          has_more: (offset + limit) < result.total
+        }
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Revoke a pending invitation
+  async revokeInvitation(request) {
+    try {
+      const url = new URL(request.url);
+      const invitationId = parseInt(url.pathname.split('/').pop());
+
+      if (!invitationId || isNaN(invitationId)) {
+        return createErrorResponse('Valid invitation ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const invitations = new InvitationService(new DatabaseService(request.env.DB), request.env);
+      const revoked = await invitations.revokeInvitation(invitationId);
+
+      if (!revoked) {
+        return createErrorResponse('Pending invitation not found', 404, 'INVITATION_NOT_FOUND');
+      }
+
+      await recordAudit(request, {
+        action: 'revoke',
+        resourceType: 'invitation',
+        resourceId: invitationId,
+        before: revoked,
+        after: { ...revoked, status: 'revoked' }
+      });
+
+      return createResponse({
+        message: 'Invitation revoked successfully',
+        invitationId
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Public: show who an invite is for, so the invitee can confirm before setting a password
+  async previewInvitation(request) {
+    try {
+      const invitations = new InvitationService(new DatabaseService(request.env.DB), request.env);
+      const token = getTokenFromPath(request);
+      const invitation = token ? await invitations.findByToken(token) : null;
+
+      const unavailable = this.checkAvailable(invitation);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      return createResponse({
+        email: invitation.email,
+        role: invitation.role,
+        expires_at: invitation.expires_at
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Public: set a password and create the admin user
+  async acceptInvitation(request) {
+    try {
+      const body = await request.json();
+      const validatedData = acceptInvitationSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const invitations = new InvitationService(db, request.env);
+      const token = getTokenFromPath(request, true);
+      const invitation = token ? await invitations.findByToken(token) : null;
+
+      const unavailable = this.checkAvailable(invitation);
+      if (unavailable) {
+        return unavailable;
+      }
+
+      const existing = await db.executeQuery(
+        'SELECT id FROM admin_users WHERE LOWER(email) = ?',
+        [invitation.email]
+      );
+      if (existing.results.length > 0) {
+        return createErrorResponse('A user with this email already exists', 409, 'USER_EXISTS');
+      }
+
+      if (!(await invitations.claimInvitation(invitation.id))) {
+        return createErrorResponse('This invitation is no longer valid', 410, 'INVITATION_UNAVAILABLE');
+      }
+
+      let result;
+      try {
+        result = await db.executeQuery(
+          'INSERT INTO admin_users (email, password_hash, role, created_by) VALUES (?, ?, ?, ?)',
+          [invitation.email, await hashPassword(validatedData.password), invitation.role, invitation.invited_by]
+        );
+      } catch (error) {
+        await invitations.releaseInvitation(invitation.id);
+        throw error;
+      }
+
+      const userId = result.meta.last_row_id;
+      await invitations.linkAcceptedUser(invitation.id, userId);
+
+      await recordAudit(request, {
+        action: 'accept_invitation',
+        resourceType: 'admin_user',
+        resourceId: userId,
+        after: { email: invitation.email, role: invitation.role, invitation_id: invitation.id },
+        actor: getActor({ userId, email: invitation.email })
+      });
+
+      return createResponse({
+        message: 'Invitation accepted. You can now log in with your email and password.',
+        user: {
+          id: userId,
+          email: invitation.email,
+          role: invitation.role
+        }
+      }, 201);
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  // Error response for a missing or no longer usable invitation, or null when it is pending
+  checkAvailable(invitation) {
+    if (!invitation) {
+      return createErrorResponse('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+    }
+
+    if (invitation.status !== 'pending') {
+      return createErrorResponse(UNAVAILABLE_MESSAGES.get(invitation.status), 410, 'INVITATION_UNAVAILABLE');
+    }
+
+    return null;
+  }
+
+  async sendInvitationEmail(env, invitation, inviteUrl) {
+    const transport = createMailTransport(env);
+    return await transport.send({
+      to: invitation.email,
+      subject: 'You have been invited to the Eleven Interior admin panel',
+      text: [
+        `You have been invited to join the Eleven Interior admin panel as ${invitation.role}.`,
+        '',
+        `Accept the invitation and choose a password: ${inviteUrl}`,
+        '',
+        `This link expires on ${invitation.expires_at} UTC and can only be used once.`,
+        'If you were not expecting this, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+}
+
+// Export singleton instance
+const invitationRoutes = new InvitationRoutes();
+export default invitationRoutes;
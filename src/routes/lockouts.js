@@ -0,0 +1,97 @@
+/**
+ * Lockout Routes - View and clear failed-login lockouts
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { LoginThrottleService } from '../services/loginThrottle.js';
+import { recordAudit } from '../services/audit.js';
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class LockoutRoutes {
+  constructor() {
+    this.listLockouts = this.listLockouts.bind(this);
+    this.clearLockout = this.clearLockout.bind(this);
+  }
+
+  // List locked-out accounts/IPs and recent failures (?locked_only=true for lockouts only)
+  async listLockouts(request) {
+    try {
+      const url = new URL(request.url);
+      const lockedOnly = url.searchParams.get('locked_only') === 'true';
+
+      const throttle = new LoginThrottleService(new DatabaseService(request.env.DB), request.env);
+      const lockouts = await throttle.listThrottles({ lockedOnly });
+
+      return createResponse({ lockouts });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Clear a counter so the account or IP can log in again immediately
+  async clearLockout(request) {
+    try {
+      const url = new URL(request.url);
+      const lockoutId = parseInt(url.pathname.split('/').pop());
+
+      if (!lockoutId || isNaN(lockoutId)) {
+        return createErrorResponse('Valid lockout ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const throttle = new LoginThrottleService(new DatabaseService(request.env.DB), request.env);
+      const cleared = await throttle.clearById(lockoutId);
+
+      if (!cleared) {
+        return createErrorResponse('Lockout not found', 404, 'LOCKOUT_NOT_FOUND');
+      }
+
+      await recordAudit(request, { action: 'delete', resourceType: 'lockout', resourceId: lockoutId, before: cleared });
+
+      return createResponse({
+        message: 'Lockout cleared successfully',
+        id: lockoutId
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const lockoutRoutes = new LockoutRoutes();
+export default lockoutRoutes;
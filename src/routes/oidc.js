@@ -0,0 +1,141 @@
+/**
+ * OIDC Routes - Single sign-on with an OpenID Connect provider (Google Workspace by default)
+ * start -> provider login -> callback; a successful callback returns the same tokens as /api/auth/login
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { OidcService, OidcError, getOidcConfig } from '../services/oidc.js';
+import { recordAudit, getActor } from '../services/audit.js';
+import { getClientIP } from '../utils/validation.js';
+import authRoutes from './auth.js';
+import { z } from 'zod';
+
+// Validation schemas
+const callbackSchema = z.object({
+  code: z.string().min(1, 'Authorization code is required'),
+  state: z.string().min(1, 'State is required'),
+  // Query-string form of the login body's useCookies
+  useCookies: z.enum(['true', 'false']).optional().transform(value => value === 'true')
+});
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class OidcRoutes {
+  constructor() {
+    this.start = this.start.bind(this);
+    this.callback = this.callback.bind(this);
+  }
+
+  // Begin a login: returns the provider authorization URL (state, nonce and PKCE challenge included)
+  async start(request) {
+    try {
+      const config = getOidcConfig(request.env);
+      if (!config) {
+        return createErrorResponse('Single sign-on is not configured', 404, 'OIDC_NOT_CONFIGURED');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+      const oidc = new OidcService(db, config);
+      const { authorizationUrl, state } = await oidc.createAuthorizationRequest(getClientIP(request));
+
+      return createResponse({
+        authorizationUrl,
+        state,
+        expiresIn: 10 * 60
+      });
+
+    } catch (error) {
+      if (error instanceof OidcError) {
+        return createErrorResponse(error.message, error.status, error.code);
+      }
+      throw error;
+    }
+  }
+
+  // Provider redirect target: exchange the code, verify the ID token and start a session
+  async callback(request) {
+    try {
+      const config = getOidcConfig(request.env);
+      if (!config) {
+        return createErrorResponse('Single sign-on is not configured', 404, 'OIDC_NOT_CONFIGURED');
+      }
+
+      const params = Object.fromEntries(new URL(request.url).searchParams);
+
+      // The user cancelled or the provider refused the login
+      if (params.error) {
+        return createErrorResponse(params.error_description || params.error, 401, 'OIDC_ACCESS_DENIED');
+      }
+
+      const validatedData = callbackSchema.parse(params);
+
+      const db = new DatabaseService(request.env.DB);
+      const oidc = new OidcService(db, config);
+      const claims = await oidc.completeAuthorization(validatedData);
+      const { user, provisioned } = await oidc.resolveUser(claims);
+
+      if (provisioned) {
+        await recordAudit(request, {
+          action: 'provision',
+          resourceType: 'admin_user',
+          resourceId: user.id,
+          after: { email: user.email, role: user.role, oidc_issuer: config.issuer },
+          actor: getActor({ userId: user.id, email: user.email })
+        });
+      }
+
+      // SSO links to existing accounts by email, so users enrolled in local 2FA still get the challenge
+      if (user.totp_enabled) {
+        return await authRoutes.createMfaChallengeResponse(user, request.env, { provisioned });
+      }
+
+      const session = await authRoutes.issueSession(db, user, request);
+      return authRoutes.createSessionResponse({ ...session, provisioned }, request.env, validatedData.useCookies);
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      if (error instanceof OidcError) {
+        return createErrorResponse(error.message, error.status, error.code);
+      }
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const oidcRoutes = new OidcRoutes();
+export default oidcRoutes;
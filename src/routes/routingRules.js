@@ -0,0 +1,203 @@
+/**
+ * Routing Rule Routes - Manage the lead routing rules applied to new inquiries
+ * See services/leadRouting.js for how rules are matched and applied
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { LeadRoutingService } from '../services/leadRouting.js';
+import { recordAudit } from '../services/audit.js';
+import { z } from 'zod';
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM (24-hour)');
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validation schemas
+const conditionsSchema = z.object({
+  locations: z.array(z.string().min(1).max(200).trim()).min(1).max(50).optional(),
+  keywords: z.array(z.string().min(1).max(100).trim()).min(1).max(50).optional(),
+  priorities: z.array(z.number().int().min(1).max(5)).min(1).optional(),
+  time_of_day: z.object({
+    start: timeOfDay,
+    end: timeOfDay,
+    timezone: z.string().refine(isValidTimezone, 'Unknown timezone').optional()
+  }).optional()
+}).strict();
+
+const actionsSchema = z.object({
+  assign_to: z.string().min(1).max(100).trim().optional(),
+  round_robin: z.array(z.string().min(1).max(100).trim()).min(1).max(50).optional(),
+  priority: z.number().int().min(1).max(5).optional(),
+  tags: z.array(z.string().min(1).max(50).trim()).min(1).max(20).optional()
+}).strict().refine((actions) => Object.keys(actions).length > 0, {
+  message: 'At least one action is required'
+}).refine((actions) => !(actions.assign_to && actions.round_robin), {
+  message: 'Use either assign_to or round_robin, not both'
+});
+
+const ruleSchema = z.object({
+  name: z.string().min(1, 'Rule name is required').max(100).trim(),
+  description: z.string().max(500).trim().optional(),
+  position: z.number().int().min(0).max(10000).optional(),
+  is_active: z.boolean().optional(),
+  conditions: conditionsSchema.optional(),
+  actions: actionsSchema
+});
+
+const updateRuleSchema = ruleSchema.partial();
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+function getRuleId(request) {
+  return parseInt(new URL(request.url).pathname.split('/').pop());
+}
+
+class RoutingRuleRoutes {
+  constructor() {
+    this.listRules = this.listRules.bind(this);
+    this.createRule = this.createRule.bind(this);
+    this.updateRule = this.updateRule.bind(this);
+    this.deleteRule = this.deleteRule.bind(this);
+  }
+
+  // List rules in evaluation order
+  async listRules(request) {
+    try {
+      const routing = new LeadRoutingService(new DatabaseService(request.env.DB), request.env);
+
+      return createResponse({
+        rules: await routing.listRules()
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  async createRule(request) {
+    try {
+      const body = await request.json();
+      const validatedData = ruleSchema.parse(body);
+
+      const routing = new LeadRoutingService(new DatabaseService(request.env.DB), request.env);
+      const rule = await routing.createRule(validatedData, request.user?.userId || null);
+      await recordAudit(request, { action: 'create', resourceType: 'routing_rule', resourceId: rule.id, after: rule });
+
+      return createResponse({
+        message: 'Routing rule created successfully',
+        rule
+      }, 201);
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  async updateRule(request) {
+    try {
+      const ruleId = getRuleId(request);
+
+      if (!ruleId || isNaN(ruleId)) {
+        return createErrorResponse('Valid rule ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const body = await request.json();
+      const validatedData = updateRuleSchema.parse(body);
+
+      const routing = new LeadRoutingService(new DatabaseService(request.env.DB), request.env);
+      const existing = await routing.getRule(ruleId);
+
+      if (!existing) {
+        return createErrorResponse('Routing rule not found', 404, 'ROUTING_RULE_NOT_FOUND');
+      }
+
+      const rule = await routing.updateRule(ruleId, validatedData);
+      await recordAudit(request, { action: 'update', resourceType: 'routing_rule', resourceId: ruleId, before: existing, after: rule });
+
+      return createResponse({
+        message: 'Routing rule updated successfully',
+        rule
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Delete a rule; inquiries it routed keep their assignment (routing_rule_id becomes null)
+  async deleteRule(request) {
+    try {
+      const ruleId = getRuleId(request);
+
+      if (!ruleId || isNaN(ruleId)) {
+        return createErrorResponse('Valid rule ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const routing = new LeadRoutingService(new DatabaseService(request.env.DB), request.env);
+      const existing = await routing.getRule(ruleId);
+
+      if (!existing || !(await routing.deleteRule(ruleId))) {
+        return createErrorResponse('Routing rule not found', 404, 'ROUTING_RULE_NOT_FOUND');
+      }
+
+      await recordAudit(request, { action: 'delete', resourceType: 'routing_rule', resourceId: ruleId, before: existing });
+
+      return createResponse({
+        message: 'Routing rule deleted successfully',
+        ruleId
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const routingRuleRoutes = new RoutingRuleRoutes();
+export default routingRuleRoutes;
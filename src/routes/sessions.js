@@ -0,0 +1,153 @@
+/**
+ * Session Routes - List and revoke the current admin's active sessions
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { SessionService } from '../services/sessions.js';
+import { TokenRevocationService } from '../services/tokenRevocation.js';
+import { recordAudit } from '../services/audit.js';
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class SessionRoutes {
+  constructor() {
+    this.listSessions = this.listSessions.bind(this);
+    this.revokeSession = this.revokeSession.bind(this);
+    this.revokeAllSessions = this.revokeAllSessions.bind(this);
+  }
+
+  // List active sessions for the authenticated user
+  async listSessions(request) {
+    try {
+      const userId = request.user?.userId;
+      if (!userId) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      const sessions = new SessionService(new DatabaseService(request.env.DB));
+      const activeSessions = await sessions.listSessions(userId);
+
+      return createResponse({
+        sessions: activeSessions.map(session => ({
+          ...session,
+          current: session.id === request.user.sid
+        }))
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke a single session by ID
+  async revokeSession(request) {
+    try {
+      const userId = request.user?.userId;
+      if (!userId) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      const url = new URL(request.url);
+      const sessionId = decodeURIComponent(url.pathname.split('/').pop());
+
+      const db = new DatabaseService(request.env.DB);
+      const sessions = new SessionService(db);
+      const revoked = await sessions.revokeSession(userId, sessionId);
+
+      if (!revoked) {
+        return createErrorResponse('Session not found', 404, 'SESSION_NOT_FOUND');
+      }
+
+      // Access tokens issued for the session stop working too
+      await new TokenRevocationService(db).revokeSession(sessionId, userId);
+
+      await recordAudit(request, { action: 'revoke', resourceType: 'session', resourceId: sessionId });
+
+      return createResponse({
+        message: 'Session revoked successfully',
+        sessionId,
+        current: sessionId === request.user.sid
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Revoke all sessions (?keep_current=true keeps the session making the request)
+  async revokeAllSessions(request) {
+    try {
+      const userId = request.user?.userId;
+      if (!userId) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      const url = new URL(request.url);
+      const keepCurrent = url.searchParams.get('keep_current') === 'true';
+
+      const exceptSessionId = keepCurrent ? request.user.sid || null : null;
+
+      const db = new DatabaseService(request.env.DB);
+      const sessions = new SessionService(db);
+      const activeSessions = await sessions.listSessions(userId);
+      const revoked = await sessions.revokeAllSessions(userId, { exceptSessionId });
+
+      // Access tokens issued for the revoked sessions stop working too
+      const revocation = new TokenRevocationService(db);
+      for (const session of activeSessions) {
+        if (session.id !== exceptSessionId) {
+          await revocation.revokeSession(session.id, userId);
+        }
+      }
+      await recordAudit(request, {
+        action: 'revoke_all',
+        resourceType: 'session',
+        after: { revoked, kept_current: keepCurrent }
+      });
+
+      return createResponse({
+        message: keepCurrent ? 'All other sessions revoked successfully' : 'All sessions revoked successfully',
+        revoked
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+const sessionRoutes = new SessionRoutes();
+export default sessionRoutes;
@@ -0,0 +1,212 @@
+/**
+ * Two-Factor Routes - Opt-in TOTP enrolment, confirmation and removal
+ * Login challenges for enrolled users are handled by authRoutes.verifyTwoFactorLogin
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { TwoFactorService } from '../services/twoFactor.js';
+import { buildOtpauthUri } from '../services/totp.js';
+import { verifyPassword } from '../services/password.js';
+import { recordAudit } from '../services/audit.js';
+import { z } from 'zod';
+
+// Validation schemas
+const verifyCodeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+const disableSchema = z.object({
+  password: z.string().min(8, 'Password is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+  recoveryCode: z.string().min(10).max(20).optional()
+}).refine((data) => data.code || data.recoveryCode, {
+  message: 'A 2FA code or recovery code is required',
+  path: ['code']
+});
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+class TwoFactorRoutes {
+  constructor() {
+    this.enroll = this.enroll.bind(this);
+    this.verify = this.verify.bind(this);
+    this.disable = this.disable.bind(this);
+  }
+
+  // Start enrolment: returns the secret and otpauth URI for the authenticator app
+  async enroll(request) {
+    try {
+      const db = new DatabaseService(request.env.DB);
+      const user = await this.getCurrentUser(db, request);
+
+      if (!user) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      if (user.totp_enabled) {
+        return createErrorResponse('Two-factor authentication is already enabled', 409, 'MFA_ALREADY_ENABLED');
+      }
+
+      const twoFactor = new TwoFactorService(db);
+      const secret = await twoFactor.startEnrolment(user.id);
+
+      return createResponse({
+        message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code.',
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Confirm enrolment with a code from the app; returns one-time recovery codes
+  async verify(request) {
+    try {
+      const body = await request.json();
+      const { code } = verifyCodeSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const user = await this.getCurrentUser(db, request);
+
+      if (!user) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      if (user.totp_enabled) {
+        return createErrorResponse('Two-factor authentication is already enabled', 409, 'MFA_ALREADY_ENABLED');
+      }
+
+      if (!user.totp_secret) {
+        return createErrorResponse('Start enrolment before verifying a code', 400, 'MFA_NOT_PENDING');
+      }
+
+      const twoFactor = new TwoFactorService(db);
+      const recoveryCodes = await twoFactor.confirmEnrolment(user, code);
+
+      if (!recoveryCodes) {
+        return createErrorResponse('Invalid two-factor code', 400, 'INVALID_MFA_CODE');
+      }
+
+      await recordAudit(request, {
+        action: 'enable_2fa',
+        resourceType: 'admin_user',
+        resourceId: user.id,
+        before: { totp_enabled: 0 },
+        after: { totp_enabled: 1 }
+      });
+
+      return createResponse({
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+        recoveryCodes
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Disable two-factor authentication (requires password and a second factor)
+  async disable(request) {
+    try {
+      const body = await request.json();
+      const validatedData = disableSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const user = await this.getCurrentUser(db, request);
+
+      if (!user) {
+        return createErrorResponse('User not authenticated', 401, 'NOT_AUTHENTICATED');
+      }
+
+      if (!user.totp_enabled) {
+        return createErrorResponse('Two-factor authentication is not enabled', 400, 'MFA_NOT_ENABLED');
+      }
+
+      const { valid } = await verifyPassword(validatedData.password, user.password_hash);
+      if (!valid) {
+        return createErrorResponse('Password is incorrect', 400, 'INVALID_CURRENT_PASSWORD');
+      }
+
+      const twoFactor = new TwoFactorService(db);
+      const verified = await twoFactor.verifySecondFactor(user, validatedData);
+
+      if (!verified) {
+        return createErrorResponse('Invalid two-factor code', 400, 'INVALID_MFA_CODE');
+      }
+
+      await twoFactor.disable(user.id);
+      await recordAudit(request, {
+        action: 'disable_2fa',
+        resourceType: 'admin_user',
+        resourceId: user.id,
+        before: { totp_enabled: 1 },
+        after: { totp_enabled: 0 }
+      });
+
+      return createResponse({
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Helper methods
+  async getCurrentUser(db, request) {
+    const userId = request.user?.userId;
+    if (!userId) {
+      return null;
+    }
+
+    const result = await db.executeQuery(
+      'SELECT * FROM admin_users WHERE id = ? AND is_active = 1',
+      [userId]
+    );
+    return result.results[0] || null;
+  }
+}
+
+// Export singleton instance
+const twoFactorRoutes = new TwoFactorRoutes();
+export default twoFactorRoutes;
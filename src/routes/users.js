@@ -0,0 +1,262 @@
+/**
+ * User Routes - Admin user management with role-based access control
+ * Lets owners and admins list, deactivate and re-role admin users
+ * New users are added through invitations (see invitations.js)
+ */
+
+import { corsHeaders } from '../middleware/cors.js';
+import { DatabaseService } from '../services/database.js';
+import { VALID_ROLES } from '../middleware/auth.js';
+import { recordAudit } from '../services/audit.js';
+import { TokenRevocationService } from '../services/tokenRevocation.js';
+import { ApiKeyService } from '../services/apiKeys.js';
+import { z } from 'zod';
+
+// Validation schemas
+const changeRoleSchema = z.object({
+  role: z.enum(VALID_ROLES)
+});
+
+// Columns that are safe to return to clients (never password_hash)
+const PUBLIC_USER_COLUMNS = 'id, email, role, is_active, created_at, updated_at, last_login, created_by';
+
+// Create standardized response
+function createResponse(data, status = 200) {
+  return new Response(JSON.stringify({
+    success: true,
+    data,
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Create error response
+function createErrorResponse(message, status = 400, code = 'ERROR') {
+  return new Response(JSON.stringify({
+    success: false,
+    error: {
+      message,
+      code
+    },
+    timestamp: new Date().toISOString()
+  }), {
+    status,
+    headers: {
+      ...corsHeaders,
+      'Content-Type': 'application/json'
+    }
+  });
+}
+
+// Extract the user ID from /api/admin/users/:id[/action]
+function getUserIdFromPath(request, hasAction = true) {
+  const parts = new URL(request.url).pathname.split('/');
+  return parseInt(parts[parts.length - (hasAction ? 2 : 1)]);
+}
+
+class UserRoutes {
+  constructor() {
+    this.listUsers = this.listUsers.bind(this);
+    this.changeUserRole = this.changeUserRole.bind(this);
+    this.deactivateUser = this.deactivateUser.bind(this);
+    this.activateUser = this.activateUser.bind(this);
+  }
+
+  // List all admin users
+  async listUsers(request) {
+    try {
+      const db = new DatabaseService(request.env.DB);
+      const result = await db.executeQuery(
+        `SELECT ${PUBLIC_USER_COLUMNS} FROM admin_users ORDER BY created_at ASC`
+      );
+
+      return createResponse({
+        users: result.results,
+        roles: VALID_ROLES
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Change a user's role
+  async changeUserRole(request) {
+    try {
+      const userId = getUserIdFromPath(request);
+      if (!userId || isNaN(userId)) {
+        return createErrorResponse('Valid user ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const body = await request.json();
+      const { role } = changeRoleSchema.parse(body);
+
+      const db = new DatabaseService(request.env.DB);
+      const target = await this.getUserById(db, userId);
+
+      const guardError = await this.checkCanModify(db, request, target, role);
+      if (guardError) {
+        return guardError;
+      }
+
+      await db.executeQuery(
+        'UPDATE admin_users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [role, userId]
+      );
+
+      // Existing access tokens carry the old role
+      await new TokenRevocationService(db).bumpTokenVersion(userId);
+
+      const user = await this.getUserById(db, userId);
+      await recordAudit(request, { action: 'change_role', resourceType: 'admin_user', resourceId: userId, before: target, after: user });
+
+      return createResponse({
+        message: 'User role updated successfully',
+        user,
+        previousRole: target.role
+      });
+
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return createErrorResponse(error.errors[0].message, 400, 'VALIDATION_ERROR');
+      }
+      throw error;
+    }
+  }
+
+  // Deactivate a user and revoke their sessions and API keys
+  async deactivateUser(request) {
+    try {
+      const userId = getUserIdFromPath(request);
+      if (!userId || isNaN(userId)) {
+        return createErrorResponse('Valid user ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+      const target = await this.getUserById(db, userId);
+
+      const guardError = await this.checkCanModify(db, request, target, null);
+      if (guardError) {
+        return guardError;
+      }
+
+      await db.executeQuery(
+        'UPDATE admin_users SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
+      );
+
+      // Revoke all refresh and access tokens so the user is signed out everywhere
+      await db.executeQuery('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+      await new TokenRevocationService(db).bumpTokenVersion(userId);
+
+      // Scoped keys would otherwise keep the user's access; reactivating does not restore them
+      const revokedApiKeys = await new ApiKeyService(db).revokeKeysForOwner(userId);
+
+      const user = await this.getUserById(db, userId);
+      await recordAudit(request, {
+        action: 'deactivate',
+        resourceType: 'admin_user',
+        resourceId: userId,
+        before: target,
+        after: { ...user, revoked_api_keys: revokedApiKeys }
+      });
+
+      return createResponse({
+        message: 'User deactivated successfully',
+        user,
+        revokedApiKeys
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Reactivate a previously deactivated user
+  async activateUser(request) {
+    try {
+      const userId = getUserIdFromPath(request);
+      if (!userId || isNaN(userId)) {
+        return createErrorResponse('Valid user ID is required', 400, 'VALIDATION_ERROR');
+      }
+
+      const db = new DatabaseService(request.env.DB);
+      const target = await this.getUserById(db, userId);
+
+      if (!target) {
+        return createErrorResponse('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      if (target.role === 'owner' && request.user?.role !== 'owner') {
+        return createErrorResponse('Only owners can modify owner accounts', 403, 'ACCESS_DENIED');
+      }
+
+      await db.executeQuery(
+        'UPDATE admin_users SET is_active = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [userId]
+      );
+
+      const user = await this.getUserById(db, userId);
+      await recordAudit(request, { action: 'activate', resourceType: 'admin_user', resourceId: userId, before: target, after: user });
+
+      return createResponse({
+        message: 'User activated successfully',
+        user
+      });
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Helper methods
+  async getUserById(db, userId) {
+    const result = await db.executeQuery(
+      `SELECT ${PUBLIC_USER_COLUMNS} FROM admin_users WHERE id = ?`,
+      [userId]
+    );
+    return result.results[0] || null;
+  }
+
+  async countActiveOwners(db) {
+    const result = await db.executeQuery(
+      "SELECT COUNT(*) as count FROM admin_users WHERE role = 'owner' AND is_active = 1"
+    );
+    return result.results[0]?.count || 0;
+  }
+
+  // Guard rails shared by role changes and deactivation (newRole = null means deactivate)
+  async checkCanModify(db, request, target, newRole) {
+    if (!target) {
+      return createErrorResponse('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    if (request.user?.userId && request.user.userId === target.id) {
+      return createErrorResponse('You cannot change your own role or deactivate yourself', 400, 'SELF_MODIFICATION');
+    }
+
+    const actorIsOwner = request.user?.role === 'owner';
+    if ((target.role === 'owner' || newRole === 'owner') && !actorIsOwner) {
+      return createErrorResponse('Only owners can modify owner accounts', 403, 'ACCESS_DENIED');
+    }
+
+    // Never leave the system without an active owner
+    if (target.role === 'owner' && target.is_active && newRole !== 'owner') {
+      const activeOwners = await this.countActiveOwners(db);
+      if (activeOwners <= 1) {
+        return createErrorResponse('Cannot remove the last active owner', 400, 'LAST_OWNER');
+      }
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+const userRoutes = new UserRoutes();
+export default userRoutes;
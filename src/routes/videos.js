@@ -7,6 +7,7 @@ import { createCloudinaryService } from '../services/cloudinary.js';
 import { DatabaseService } from '../services/database.js';
 import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import { corsHeaders } from '../middleware/cors.js';
+import { recordAudit } from '../services/audit.js';
 import { z } from 'zod';
 
 // Valid video sections (O(1) lookup with Set)
@@ -137,6 +138,7 @@ class VideoRoutes {
         
         // Delete old metadata
         await db.deleteMediaMetadata(existingVideo.id);
+        await recordAudit(request, { action: 'delete', resourceType: 'video', resourceId: existingVideo.id, before: existingVideo });
       }
 
       // Upload to Cloudinary with optimized settings
@@ -166,6 +168,7 @@ class VideoRoutes {
       };
 
       const savedMetadata = await db.saveMediaMetadata(metadata);
+      await recordAudit(request, { action: 'create', resourceType: 'video', resourceId: savedMetadata.id, after: savedMetadata });
 
       // Generate optimized URLs for different use cases
       const optimizedUrls = {
@@ -262,6 +265,7 @@ class VideoRoutes {
           try {
             await cloudinary.deleteFile(existingVideo.cloudinary_public_id, 'video');
             await db.deleteMediaMetadata(existingVideo.id);
+            await recordAudit(request, { action: 'delete', resourceType: 'video', resourceId: existingVideo.id, before: existingVideo });
           } catch (deleteError) {
             console.warn('Failed to delete existing video:', deleteError.message);
           }
@@ -312,6 +316,7 @@ class VideoRoutes {
           };
 
           const savedMetadata = await db.saveMediaMetadata(metadata);
+          await recordAudit(request, { action: 'create', resourceType: 'video', resourceId: savedMetadata.id, after: savedMetadata });
 
           // Generate optimized URLs
           const optimizedUrls = {
@@ -471,6 +476,7 @@ class VideoRoutes {
 
       const video = videos.results[0];
       const updatedVideo = await db.updateMediaMetadata(video.id, validatedUpdates);
+      await recordAudit(request, { action: 'update', resourceType: 'video', resourceId: video.id, before: video, after: updatedVideo });
 
       const cloudinary = createCloudinaryService(request.env);
 
@@ -542,6 +548,7 @@ class VideoRoutes {
 
       // Delete metadata from database
       await db.deleteMediaMetadata(video.id);
+      await recordAudit(request, { action: 'delete', resourceType: 'video', resourceId: video.id, before: video });
 
       return createResponse({
         message: `Video for ${section} section deleted successfully`,
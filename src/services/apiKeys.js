@@ -0,0 +1,122 @@
+/**
+ * API Key Service - Database-backed, scoped and revocable API keys
+ * Keys are stored as SHA-256 hashes; the plaintext is only returned once at creation
+ */
+
+import { hashString } from '../utils/validation.js';
+
+// Prefix makes leaked keys easy to recognise in logs and secret scanners
+const API_KEY_PREFIX = 'eik_';
+
+// Columns that are safe to return to clients (never key_hash)
+const PUBLIC_KEY_COLUMNS = 'id, name, key_prefix, owner_id, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+// Convert a Date into SQLite's datetime() text format for comparisons
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Parse the stored scopes column into an array
+function parseKeyRow(row) {
+  if (!row) return null;
+
+  return {
+    ...row,
+    scopes: row.scopes ? row.scopes.split(',') : []
+  };
+}
+
+class ApiKeyService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Generate a new random plaintext key
+  generateKey() {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return API_KEY_PREFIX + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Create a key and return its record along with the one-time plaintext value
+  async createKey({ name, ownerId, scopes, expiresInDays = null }) {
+    const plaintextKey = this.generateKey();
+    const keyHash = await hashString(plaintextKey);
+    const expiresAt = expiresInDays
+      ? toSqliteDate(new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000))
+      : null;
+
+    const result = await this.db.executeQuery(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, owner_id, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, plaintextKey.slice(0, 12), keyHash, ownerId, scopes.join(','), expiresAt]
+    );
+
+    return {
+      key: plaintextKey,
+      record: await this.getKey(result.meta.last_row_id)
+    };
+  }
+
+  async getKey(id) {
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_KEY_COLUMNS} FROM api_keys WHERE id = ?`,
+      [id]
+    );
+    return parseKeyRow(result.results[0]);
+  }
+
+  async listKeys({ includeRevoked = false } = {}) {
+    const where = includeRevoked ? '' : 'WHERE revoked_at IS NULL';
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_KEY_COLUMNS} FROM api_keys ${where} ORDER BY created_at DESC`
+    );
+    return result.results.map(parseKeyRow);
+  }
+
+  async revokeKey(id) {
+    await this.db.executeQuery(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return await this.getKey(id);
+  }
+
+  // Revoke every key a user owns (deactivation); returns how many were revoked
+  async revokeKeysForOwner(ownerId) {
+    const result = await this.db.executeQuery(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE owner_id = ? AND revoked_at IS NULL',
+      [ownerId]
+    );
+    return result.meta?.changes || 0;
+  }
+
+  // Look up an active (not revoked, not expired) key by its plaintext value
+  // A key created by a user stops working while that user is deactivated
+  async findActiveKey(plaintextKey) {
+    if (!plaintextKey || !plaintextKey.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = await hashString(plaintextKey);
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_KEY_COLUMNS} FROM api_keys
+       WHERE key_hash = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > datetime('now'))
+         AND (owner_id IS NULL OR EXISTS (
+           SELECT 1 FROM admin_users WHERE admin_users.id = api_keys.owner_id AND admin_users.is_active = 1
+         ))`,
+      [keyHash]
+    );
+    return parseKeyRow(result.results[0]);
+  }
+
+  async touchKey(id) {
+    await this.db.executeQuery(
+      'UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+  }
+}
+
+export { ApiKeyService };
@@ -0,0 +1,183 @@
+/**
+ * Audit Service - Append-only log of admin mutations
+ * Each entry records the actor, action, resource and a field-level before/after diff
+ */
+
+import { DatabaseService } from './database.js';
+import { getClientIP } from '../utils/validation.js';
+
+// Never written to the audit log (O(1) lookup with Set)
+const REDACTED_FIELDS = new Set(['password_hash', 'totp_secret', 'key_hash', 'token', 'token_hash', 'code_hash']);
+
+// Bookkeeping columns that change on every write and add no information
+const IGNORED_FIELDS = new Set(['updated_at', 'last_accessed']);
+
+// Filters accepted by listEntries -> column (O(1) lookup)
+const FILTER_COLUMNS = new Map([
+  ['actorType', 'actor_type'],
+  ['actorId', 'actor_id'],
+  ['actorEmail', 'actor_email'],
+  ['action', 'action'],
+  ['resourceType', 'resource_type'],
+  ['resourceId', 'resource_id']
+]);
+
+// Field-level diff of two records: { field: { from, to } }
+// Pass null as before for creations and as after for deletions
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = REDACTED_FIELDS.has(field)
+        ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+        : { from, to };
+    }
+  }
+
+  return changes;
+}
+
+// Identify who made a request from the authenticated user or API key
+export function getActor(user) {
+  if (user?.type === 'api_key') {
+    return { type: 'api_key', id: String(user.apiKeyId), email: null };
+  }
+
+  if (user?.userId) {
+    return { type: 'user', id: String(user.userId), email: user.email || null };
+  }
+
+  return { type: 'anonymous', id: null, email: null };
+}
+
+class AuditService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  insertQuery({ actor, action, resourceType, resourceId = null, changes = {}, ipAddress = null }) {
+    return {
+      sql: `INSERT INTO audit_log (actor_type, actor_id, actor_email, action, resource_type, resource_id, changes, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      params: [
+        actor.type,
+        actor.id,
+        actor.email,
+        action,
+        resourceType,
+        resourceId === null ? null : String(resourceId),
+        JSON.stringify(changes),
+        ipAddress
+      ]
+    };
+  }
+
+  async record(entry) {
+    try {
+      const { sql, params } = this.insertQuery(entry);
+      await this.db.executeQuery(sql, params);
+    } catch (error) {
+      // The mutation has already happened; don't fail the request over the log entry
+      console.error('Failed to write audit log entry:', error.message);
+    }
+  }
+
+  // Several entries in one batch (bulk operations log one entry per resource)
+  async recordMany(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    try {
+      await this.db.executeBatch(entries.map(entry => this.insertQuery(entry)));
+    } catch (error) {
+      console.error('Failed to write audit log entries:', error.message);
+    }
+  }
+
+  // List entries, newest first; filters: actorType, actorId, actorEmail, action,
+  // resourceType, resourceId, from, to (SQLite datetime text or ISO dates)
+  async listEntries(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    for (const [filter, column] of FILTER_COLUMNS) {
+      if (filters[filter] !== undefined && filters[filter] !== null) {
+        conditions.push(`${column} = ?`);
+        params.push(String(filters[filter]));
+      }
+    }
+
+    if (filters.from) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(filters.from);
+    }
+
+    // A bare date as the upper bound includes that whole day
+    if (filters.to) {
+      conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+        ? "created_at < datetime(?, '+1 day')"
+        : 'created_at <= datetime(?)');
+      params.push(filters.to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.executeQuery(
+      `SELECT * FROM audit_log ${whereClause} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const countResult = await this.db.executeQuery(
+      `SELECT COUNT(*) as total FROM audit_log ${whereClause}`,
+      params
+    );
+
+    return {
+      entries: result.results.map(entry => ({
+        ...entry,
+        changes: entry.changes ? JSON.parse(entry.changes) : {}
+      })),
+      total: countResult.results[0]?.total || 0
+    };
+  }
+}
+
+// Record an admin mutation made by the current request
+// before/after are the resource's rows (null for creations/deletions); actor defaults to request.user
+export async function recordAudit(request, { action, resourceType, resourceId = null, before = null, after = null, actor = null }) {
+  const auditService = new AuditService(new DatabaseService(request.env.DB));
+
+  await auditService.record({
+    actor: actor || getActor(request.user),
+    action,
+    resourceType,
+    resourceId,
+    changes: diffRecords(before, after),
+    ipAddress: getClientIP(request)
+  });
+}
+
+// Record one entry per resource for a bulk mutation; entries take the same fields as recordAudit
+export async function recordAuditEntries(request, entries) {
+  const auditService = new AuditService(new DatabaseService(request.env.DB));
+  const actor = getActor(request.user);
+  const ipAddress = getClientIP(request);
+
+  await auditService.recordMany(entries.map(({ action, resourceType, resourceId = null, before = null, after = null }) => ({
+    actor,
+    action,
+    resourceType,
+    resourceId,
+    changes: diffRecords(before, after),
+    ipAddress
+  })));
+}
+
+export { AuditService };
@@ -4,6 +4,7 @@
  */
 
 import { DatabaseError } from '../middleware/errorHandler.js';
+import { getSearchSelect } from './inquirySearch.js';
 
 class DatabaseService {
   constructor(db) {
@@ -49,11 +50,20 @@ class DatabaseService {
     }
   }
 
+  // Run [{ sql, params }] in one D1 batch: a single transaction, so all succeed or none do
+  async executeBatch(queries) {
+    try {
+      return await this.db.batch(queries.map(({ sql, params = [] }) => this.db.prepare(sql).bind(...params)));
+    } catch (error) {
+      throw new DatabaseError(`Batch execution failed: ${error.message}`);
+    }
+  }
+
   // Inquiry operations
   async createInquiry(inquiryData) {
     const sql = `
-      INSERT INTO inquiries (name, email, phone, location, project_description, status, priority)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO inquiries (name, email, phone, location, project_description, status, priority, assigned_to, tags, routing_rule_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const params = [
@@ -63,7 +73,10 @@ class DatabaseService {
       inquiryData.location,
       inquiryData.project_description,
       inquiryData.status || 'pending',
-      inquiryData.priority || 3
+      inquiryData.priority || 3,
+      inquiryData.assigned_to || null,
+      JSON.stringify(inquiryData.tags || []),
+      inquiryData.routing_rule_id || null
     ];
 
     try {
@@ -79,6 +92,69 @@ class DatabaseService {
     }
   }
 
+  // Inquiries with the given ids, queried in chunks to stay under D1's bound-parameter limit
+  async getInquiriesByIds(ids) {
+    const unique = [...new Set(ids)];
+    const rows = [];
+
+    for (let i = 0; i < unique.length; i += 100) {
+      const chunk = unique.slice(i, i + 100);
+      const result = await this.executeQuery(
+        `SELECT * FROM inquiries WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+      rows.push(...result.results);
+    }
+
+    return rows;
+  }
+
+  // Inquiries for any of the given emails (id, email, project_description), queried in chunks
+  // to stay under D1's bound-parameter limit
+  async getInquiriesByEmails(emails) {
+    const unique = [...new Set(emails)];
+    const rows = [];
+
+    for (let i = 0; i < unique.length; i += 100) {
+      const chunk = unique.slice(i, i + 100);
+      const result = await this.executeQuery(
+        `SELECT id, email, project_description FROM inquiries WHERE email IN (${chunk.map(() => '?').join(', ')})`,
+        chunk
+      );
+      rows.push(...result.results);
+    }
+
+    return rows;
+  }
+
+  // Insert many inquiries in one batch; returns their ids in the same order
+  async createInquiries(inquiries) {
+    if (inquiries.length === 0) {
+      return [];
+    }
+
+    const results = await this.executeBatch(inquiries.map(inquiryData => ({
+      sql: `INSERT INTO inquiries (name, email, phone, location, project_description, status, priority, assigned_to, tags, routing_rule_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING id`,
+      params: [
+        inquiryData.name,
+        inquiryData.email,
+        inquiryData.phone,
+        inquiryData.location,
+        inquiryData.project_description,
+        inquiryData.status || 'pending',
+        inquiryData.priority || 3,
+        inquiryData.assigned_to || null,
+        JSON.stringify(inquiryData.tags || []),
+        inquiryData.routing_rule_id || null
+      ]
+    })));
+
+    this.clearInquiryCache();
+    return results.map(result => result.results[0].id);
+  }
+
   async getInquiry(id) {
     const sql = `SELECT * FROM inquiries WHERE id = ?`;
     const result = await this.executeQuery(sql, [id]);
@@ -90,33 +166,83 @@ class DatabaseService {
     return result.results[0];
   }
 
-  async getInquiries(options = {}) {
-    let sql = `SELECT * FROM inquiries`;
+  // WHERE clause (and full-text join) shared by getInquiries and countInquiries
+  buildInquiryFilters(options = {}) {
     const params = [];
     const conditions = [];
+    let join = '';
+
+    // options.search is an FTS5 query from buildFtsQuery()
+    if (options.search) {
+      join = ' JOIN inquiries_fts ON inquiries_fts.rowid = inquiries.id';
+      conditions.push('inquiries_fts MATCH ?');
+      params.push(options.search);
+    }
 
     // Add filters
     if (options.status) {
-      conditions.push('status = ?');
+      conditions.push('inquiries.status = ?');
       params.push(options.status);
     }
 
     if (options.priority) {
-      conditions.push('priority = ?');
+      conditions.push('inquiries.priority = ?');
       params.push(options.priority);
     }
 
+    if (options.assigned_to) {
+      conditions.push('inquiries.assigned_to = ?');
+      params.push(options.assigned_to);
+    }
+
     if (options.email) {
-      conditions.push('email = ?');
+      conditions.push('inquiries.email = ?');
       params.push(options.email);
     }
 
-    if (conditions.length > 0) {
-      sql += ' WHERE ' + conditions.join(' AND ');
+    // Creation date range; a bare date as the upper bound includes that whole day
+    if (options.from) {
+      conditions.push('inquiries.created_at >= datetime(?)');
+      params.push(options.from);
+    }
+
+    if (options.to) {
+      conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(options.to)
+        ? "inquiries.created_at < datetime(?, '+1 day')"
+        : 'inquiries.created_at <= datetime(?)');
+      params.push(options.to);
     }
 
-    // Add sorting (default: newest first)
-    sql += ` ORDER BY ${options.sortBy || 'created_at'} ${options.sortOrder || 'DESC'}`;
+    // Archived inquiries are hidden unless asked for ('include' or 'only')
+    if (options.archived === 'only') {
+      conditions.push('inquiries.archived_at IS NOT NULL');
+    } else if (options.archived !== 'include') {
+      conditions.push('inquiries.archived_at IS NULL');
+    }
+
+    // Keyset pagination for walking large result sets in id order
+    if (options.afterId !== undefined) {
+      conditions.push('inquiries.id > ?');
+      params.push(options.afterId);
+    }
+
+    const where = conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '';
+    return { sql: join + where, params };
+  }
+
+  // options.search ranks results by relevance unless sortBy is given
+  async getInquiries(options = {}) {
+    const filters = this.buildInquiryFilters(options);
+    const select = options.search ? `inquiries.*, ${getSearchSelect()}` : 'inquiries.*';
+    let sql = `SELECT ${select} FROM inquiries${filters.sql}`;
+    const params = [...filters.params];
+
+    // Add sorting (default: best match when searching, otherwise newest first)
+    if (options.search && !options.sortBy) {
+      sql += ' ORDER BY search_rank ASC, inquiries.created_at DESC';
+    } else {
+      sql += ` ORDER BY inquiries.${options.sortBy || 'created_at'} ${options.sortOrder || 'DESC'}`;
+    }
 
     // Add pagination
     if (options.limit) {
@@ -130,14 +256,25 @@ class DatabaseService {
     }
 
     // Use caching for frequently accessed data
-    const useCache = !options.status && !options.priority && !options.email;
-    const cacheKey = useCache ? `inquiries_${options.sortBy || 'created_at'}_${options.limit || 'all'}` : null;
+    const useCache = filters.params.length === 0;
+    const cacheKey = useCache ? `inquiries_${options.sortBy || 'created_at'}_${options.sortOrder || 'DESC'}_${options.limit || 'all'}_${options.offset || 0}` : null;
 
     return await this.executeQuery(sql, params, useCache, cacheKey);
   }
 
-  async updateInquiry(id, updates) {
-    const allowedFields = ['name', 'email', 'phone', 'location', 'project_description', 'status', 'priority', 'notes', 'assigned_to'];
+  async countInquiries(options = {}) {
+    const filters = this.buildInquiryFilters(options);
+    const result = await this.executeQuery(
+      `SELECT COUNT(*) as total FROM inquiries${filters.sql}`,
+      filters.params
+    );
+    return result.results[0]?.total || 0;
+  }
+
+  // UPDATE statement for an inquiry ({ sql, params }); expectedStatus makes it a no-op
+  // when the inquiry's status has changed since it was read
+  buildInquiryUpdate(id, updates, { expectedStatus = null } = {}) {
+    const allowedFields = ['name', 'email', 'phone', 'location', 'project_description', 'status', 'priority', 'notes', 'assigned_to', 'tags'];
     const setClause = [];
     const params = [];
 
@@ -145,7 +282,7 @@ class DatabaseService {
     Object.entries(updates).forEach(([key, value]) => {
       if (allowedFields.includes(key) && value !== undefined) {
         setClause.push(`${key} = ?`);
-        params.push(value);
+        params.push(key === 'tags' ? JSON.stringify(value) : value);
       }
     });
 
@@ -155,12 +292,23 @@ class DatabaseService {
 
     params.push(id); // Add ID for WHERE clause
 
-    const sql = `
+    let sql = `
       UPDATE inquiries 
       SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `;
 
+    if (expectedStatus) {
+      sql += ' AND status = ?';
+      params.push(expectedStatus);
+    }
+
+    return { sql, params };
+  }
+
+  async updateInquiry(id, updates) {
+    const { sql, params } = this.buildInquiryUpdate(id, updates);
+
     try {
       const result = await this.db.prepare(sql).bind(...params).run();
       
@@ -0,0 +1,89 @@
+/**
+ * Inquiry Activity Service - Per-lead timeline of status changes, notes, calls, emails and site visits
+ * Status changes are recorded by the inquiry routes; the other entries are logged by the sales team.
+ */
+
+import { parseJsonSafely } from '../utils/validation.js';
+
+// Entries the sales team can log by hand; status changes only come from updating the inquiry
+export const LOGGABLE_ACTIVITY_TYPES = ['note', 'call', 'email', 'site_visit'];
+
+export const ACTIVITY_TYPES = ['status_change', ...LOGGABLE_ACTIVITY_TYPES];
+
+function parseActivity(row) {
+  return {
+    ...row,
+    metadata: parseJsonSafely(row.metadata, {}) || {}
+  };
+}
+
+class InquiryActivityService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // actor comes from getActor() in services/audit.js
+  async addActivity(inquiryId, { type, body = '', metadata = {}, occurredAt = null, fromStatus = null, toStatus = null }, actor) {
+    const result = await this.db.executeQuery(
+      `INSERT INTO inquiry_activities (inquiry_id, type, from_status, to_status, body, metadata, actor_type, actor_id, actor_email, occurred_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(datetime(?), CURRENT_TIMESTAMP))
+       RETURNING *`,
+      [inquiryId, type, fromStatus, toStatus, body, JSON.stringify(metadata), actor.type, actor.id, actor.email, occurredAt]
+    );
+    return parseActivity(result.results[0]);
+  }
+
+  async recordStatusChange(inquiryId, fromStatus, toStatus, actor) {
+    return await this.addActivity(inquiryId, { type: 'status_change', fromStatus, toStatus }, actor);
+  }
+
+  // INSERT for a status change ({ sql, params }), for use in a D1 batch
+  // afterUpdate: only insert if the statement just before it in the batch changed a row
+  statusChangeQuery(inquiryId, fromStatus, toStatus, actor, { afterUpdate = false } = {}) {
+    return {
+      sql: `INSERT INTO inquiry_activities (inquiry_id, type, from_status, to_status, actor_type, actor_id, actor_email)
+            SELECT ?, 'status_change', ?, ?, ?, ?, ?${afterUpdate ? ' WHERE changes() > 0' : ''}`,
+      params: [inquiryId, fromStatus, toStatus, actor.type, actor.id, actor.email]
+    };
+  }
+
+  // Status changes for many inquiries (e.g. an import) in one batch
+  async recordStatusChanges(changes, actor) {
+    if (changes.length === 0) {
+      return;
+    }
+
+    await this.db.executeBatch(changes.map(({ inquiryId, fromStatus = null, toStatus }) =>
+      this.statusChangeQuery(inquiryId, fromStatus, toStatus, actor)
+    ));
+  }
+
+  // Timeline for one inquiry, oldest first; filters: type
+  async listActivities(inquiryId, { type = null, limit = 100, offset = 0 } = {}) {
+    const conditions = ['inquiry_id = ?'];
+    const params = [inquiryId];
+
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const result = await this.db.executeQuery(
+      `SELECT * FROM inquiry_activities ${whereClause} ORDER BY occurred_at ASC, id ASC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const countResult = await this.db.executeQuery(
+      `SELECT COUNT(*) as total FROM inquiry_activities ${whereClause}`,
+      params
+    );
+
+    return {
+      activities: result.results.map(parseActivity),
+      total: countResult.results[0]?.total || 0
+    };
+  }
+}
+
+export { InquiryActivityService };
@@ -0,0 +1,217 @@
+/**
+ * Inquiry Export Service - Streams filtered inquiries as CSV or XLSX
+ * Rows are read from D1 a page at a time (keyset pagination on id) and written to the
+ * response as they arrive, so large exports never sit in Worker memory.
+ */
+
+import { parseJsonSafely } from '../utils/validation.js';
+import { createZipStream } from '../utils/zip.js';
+
+const PAGE_SIZE = 500;
+
+const encoder = new TextEncoder();
+
+// Exportable columns: key -> { header, value(row) } (O(1) lookup), in default order
+export const EXPORT_COLUMNS = new Map([
+  ['id', { header: 'ID', value: row => row.id }],
+  ['name', { header: 'Name', value: row => row.name }],
+  ['email', { header: 'Email', value: row => row.email }],
+  ['phone', { header: 'Phone', value: row => row.phone }],
+  ['location', { header: 'Location', value: row => row.location }],
+  ['project_description', { header: 'Project Description', value: row => row.project_description }],
+  ['status', { header: 'Status', value: row => row.status }],
+  ['priority', { header: 'Priority', value: row => row.priority }],
+  ['assigned_to', { header: 'Assigned To', value: row => row.assigned_to }],
+  ['tags', { header: 'Tags', value: row => (parseJsonSafely(row.tags, []) || []).join(', ') }],
+  ['notes', { header: 'Notes', value: row => row.notes }],
+  ['created_at', { header: 'Created At', value: row => row.created_at }],
+  ['updated_at', { header: 'Updated At', value: row => row.updated_at }]
+]);
+
+export const DEFAULT_EXPORT_COLUMNS = Array.from(EXPORT_COLUMNS.keys()).filter(column => column !== 'notes');
+
+// Leading characters that make spreadsheet apps evaluate a cell as a formula
+const FORMULA_TRIGGER = /^[=+\-@\t\r]/;
+
+// Quote a CSV field (RFC 4180); text that would start a formula is prefixed with a quote
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (typeof value === 'string' && FORMULA_TRIGGER.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const XML_ESCAPES = new Map([
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;']
+]);
+
+// Escape text for XML, dropping control characters XML 1.0 cannot represent
+export function escapeXml(value) {
+  return String(value)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/[&<>"]/g, char => XML_ESCAPES.get(char));
+}
+
+// Yield pages of inquiries matching the filters, in id order
+async function* inquiryPages(db, filters) {
+  let afterId = 0;
+
+  while (true) {
+    const page = await db.getInquiries({
+      ...filters,
+      afterId,
+      sortBy: 'id',
+      sortOrder: 'ASC',
+      limit: PAGE_SIZE
+    });
+
+    if (page.results.length > 0) {
+      yield page.results;
+    }
+
+    if (page.results.length < PAGE_SIZE) {
+      return;
+    }
+
+    afterId = page.results[page.results.length - 1].id;
+  }
+}
+
+async function* csvChunks(db, filters, columns) {
+  const definitions = columns.map(column => EXPORT_COLUMNS.get(column));
+
+  // The byte order mark makes Excel read the file as UTF-8
+  yield '\uFEFF' + definitions.map(definition => escapeCsvValue(definition.header)).join(',') + '\r\n';
+
+  for await (const rows of inquiryPages(db, filters)) {
+    yield rows.map(row =>
+      definitions.map(definition => escapeCsvValue(definition.value(row))).join(',') + '\r\n'
+    ).join('');
+  }
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const OFFICE_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Inline-string cells, so the workbook needs no shared string table; style 1 is the bold header
+function xlsxCell(value, style = 0) {
+  const styleAttribute = style ? ` s="${style}"` : '';
+
+  if (typeof value === 'number') {
+    return `<c${styleAttribute}><v>${value}</v></c>`;
+  }
+
+  return `<c t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+}
+
+async function* worksheetChunks(db, filters, columns) {
+  const definitions = columns.map(column => EXPORT_COLUMNS.get(column));
+
+  yield XML_HEADER +
+    `<worksheet xmlns="${SPREADSHEET_NS}">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>' +
+    `<row>${definitions.map(definition => xlsxCell(definition.header, 1)).join('')}</row>`;
+
+  for await (const rows of inquiryPages(db, filters)) {
+    yield rows.map(row =>
+      `<row>${definitions.map(definition => xlsxCell(definition.value(row))).join('')}</row>`
+    ).join('');
+  }
+
+  yield '</sheetData></worksheet>';
+}
+
+// Fixed parts of a single-sheet workbook
+const XLSX_PARTS = [
+  ['[Content_Types].xml',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>'],
+  ['_rels/.rels',
+    `<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+    `<Relationship Id="rId1" Type="${OFFICE_RELATIONSHIP}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>'],
+  ['xl/workbook.xml',
+    `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${OFFICE_RELATIONSHIP}">` +
+    '<sheets><sheet name="Inquiries" sheetId="1" r:id="rId1"/></sheets>' +
+    '</workbook>'],
+  ['xl/_rels/workbook.xml.rels',
+    `<Relationships xmlns="${RELATIONSHIPS_NS}">` +
+    `<Relationship Id="rId1" Type="${OFFICE_RELATIONSHIP}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${OFFICE_RELATIONSHIP}/styles" Target="styles.xml"/>` +
+    '</Relationships>'],
+  ['xl/styles.xml',
+    `<styleSheet xmlns="${SPREADSHEET_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>']
+];
+
+function xlsxChunks(db, filters, columns) {
+  return createZipStream([
+    ...XLSX_PARTS.map(([name, xml]) => ({ name, data: [XML_HEADER + xml] })),
+    { name: 'xl/worksheets/sheet1.xml', data: worksheetChunks(db, filters, columns) }
+  ]);
+}
+
+// Format -> { contentType, extension, chunks(db, filters, columns) } (O(1) lookup)
+const EXPORT_FORMATS = new Map([
+  ['csv', { contentType: 'text/csv; charset=utf-8', extension: 'csv', chunks: csvChunks }],
+  ['xlsx', { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx', chunks: xlsxChunks }]
+]);
+
+export const EXPORT_FORMAT_NAMES = Array.from(EXPORT_FORMATS.keys());
+
+// Pull-based stream: the next page is only read once the client has taken the previous one
+function toReadableStream(iterator) {
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(typeof value === 'string' ? encoder.encode(value) : value);
+        }
+      } catch (error) {
+        console.error('Inquiry export failed:', error.message);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    }
+  });
+}
+
+// filters are DatabaseService.getInquiries options (status, priority, assigned_to, email, search, from, to, archived)
+// Returns { stream, contentType, extension }
+export function exportInquiries(db, filters, { format = 'csv', columns = DEFAULT_EXPORT_COLUMNS } = {}) {
+  const exporter = EXPORT_FORMATS.get(format);
+
+  return {
+    stream: toReadableStream(exporter.chunks(db, filters, columns)),
+    contentType: exporter.contentType,
+    extension: exporter.extension
+  };
+}
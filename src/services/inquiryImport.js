@@ -0,0 +1,112 @@
+/**
+ * Inquiry Import Service - CSV parsing and column mapping for bulk inquiry imports
+ * Turns an uploaded spreadsheet into { row, data } records keyed by inquiry field;
+ * validation, duplicate detection and creation happen in the inquiry routes.
+ */
+
+import { ValidationError } from '../middleware/errorHandler.js';
+
+// Inquiry fields an import fills (the fields of the public inquiry form)
+export const IMPORT_FIELDS = ['name', 'email', 'phone', 'location', 'project_description'];
+
+// Leading quote added by the CSV export to neutralise formulas (see inquiryExport.js)
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+// Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF/LF line endings) into rows of strings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop the byte order mark spreadsheet apps add
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError('CSV has an unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// "Project Description" -> "project_description"
+function normalizeHeader(header) {
+  return header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Field -> column index; mapping is { field: header } and unmapped fields fall back to a
+// header with the field's own name
+export function resolveColumns(headers, mapping = {}) {
+  const headerIndexes = new Map(headers.map((header, index) => [normalizeHeader(header), index]));
+  const columns = new Map();
+
+  for (const field of IMPORT_FIELDS) {
+    const header = mapping[field] ?? field;
+    const index = headerIndexes.get(normalizeHeader(header));
+
+    if (index === undefined) {
+      throw new ValidationError(mapping[field] !== undefined
+        ? `Column '${header}' mapped to '${field}' is not in the CSV header`
+        : `No column for '${field}'; add a '${field}' column or map one to it`);
+    }
+
+    columns.set(field, index);
+  }
+
+  return columns;
+}
+
+// Data rows as { row, data }; row is the spreadsheet row number (the header is row 1)
+// Blank lines are ignored
+export function mapRows(rows, columns) {
+  const records = [];
+
+  rows.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => cell.trim() === '')) {
+      return;
+    }
+
+    const data = {};
+    for (const [field, column] of columns) {
+      const value = cells[column] ?? '';
+      data[field] = ESCAPED_FORMULA.test(value) ? value.slice(1) : value;
+    }
+
+    records.push({ row: index + 2, data });
+  });
+
+  return records;
+}
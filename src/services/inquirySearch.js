@@ -0,0 +1,58 @@
+/**
+ * Inquiry Search - Helpers for the inquiries_fts full-text index (see migration 0023)
+ * Free text is turned into a safe FTS5 query, results are ranked with bm25 and
+ * matches are returned as HTML-escaped snippets with <mark> highlights.
+ */
+
+// Indexed columns and their bm25 weights, in the table's column order (matches in names count most)
+export const SEARCH_COLUMNS = new Map([
+  ['name', 10],
+  ['email', 5],
+  ['phone', 5],
+  ['location', 3],
+  ['project_description', 1],
+  ['notes', 1]
+]);
+
+// Snippet delimiters: control characters that never survive HTML escaping, swapped for <mark> afterwards
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+const SNIPPET_TOKENS = 16;
+
+const HTML_ESCAPES = new Map([
+  ['&', '&amp;'],
+  ['<', '&lt;'],
+  ['>', '&gt;'],
+  ['"', '&quot;'],
+  ["'", '&#39;']
+]);
+
+// Free text -> FTS5 query: every word must match, as a prefix ("rest mum" finds "restaurant, Mumbai")
+// Words are quoted so FTS5 operators and punctuation in the input are never interpreted
+// Returns null when the text has no searchable words
+export function buildFtsQuery(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu);
+
+  if (!words) {
+    return null;
+  }
+
+  return words.slice(0, 10).map(word => `"${word}"*`).join(' ');
+}
+
+// SQL for the rank and snippet columns of a query joined to inquiries_fts
+export function getSearchSelect() {
+  const weights = Array.from(SEARCH_COLUMNS.values()).join(', ');
+  return `bm25(inquiries_fts, ${weights}) AS search_rank, ` +
+    `snippet(inquiries_fts, -1, char(1), char(2), '…', ${SNIPPET_TOKENS}) AS search_snippet`;
+}
+
+// Escape a snippet for HTML and turn the match delimiters into <mark> tags
+export function formatSnippet(snippet) {
+  if (!snippet) return '';
+
+  return snippet
+    .replace(/[&<>"']/g, char => HTML_ESCAPES.get(char))
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
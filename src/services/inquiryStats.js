@@ -0,0 +1,236 @@
+/**
+ * Inquiry Stats Service - SQL aggregates for the admin reporting endpoint
+ * Response times come from the status changes on the activity timeline (see inquiryActivities.js),
+ * not from updated_at, which moves on every edit. All buckets and dates are UTC.
+ * Archived inquiries are left out unless asked for, as in the inquiry list.
+ */
+
+// Interval -> SQL expression for the start of the bucket an inquiry falls in (O(1) lookup)
+// Weeks start on Monday: move forward to Sunday, then back six days
+const BUCKET_EXPRESSIONS = new Map([
+  ['day', "date(created_at)"],
+  ['week', "date(created_at, 'weekday 0', '-6 days')"],
+  ['month', "strftime('%Y-%m-01', created_at)"]
+]);
+
+export const STATS_INTERVALS = Array.from(BUCKET_EXPRESSIONS.keys());
+
+// Funnel stages in order; an inquiry counts for a stage if it reached it at any point
+const FUNNEL_STAGES = ['pending', 'in_progress', 'completed'];
+
+const BREAKDOWN_LIMIT = 20;
+
+// First time each inquiry in range reached in_progress (first response) and completed (closed)
+const milestonesCte = (where) => `
+  WITH milestones AS (
+    SELECT i.id, i.status, i.assigned_to, i.created_at,
+      (SELECT MIN(a.occurred_at) FROM inquiry_activities a
+        WHERE a.inquiry_id = i.id AND a.type = 'status_change' AND a.to_status = 'in_progress') AS responded_at,
+      (SELECT MIN(a.occurred_at) FROM inquiry_activities a
+        WHERE a.inquiry_id = i.id AND a.type = 'status_change' AND a.to_status = 'completed') AS closed_at
+    FROM inquiries i
+    ${where}
+  )`;
+
+const hoursBetween = (start, end) => `(julianday(${end}) - julianday(${start})) * 24`;
+
+function roundHours(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+function percentage(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+class InquiryStatsService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Inquiries created in [from, to]; a bare date as the upper bound includes that whole day
+  // conditions: other (parameterless) conditions to AND with the range
+  buildDateRange({ from, to } = {}, column = 'created_at', conditions = []) {
+    const params = [];
+
+    if (from) {
+      conditions.push(`${column} >= datetime(?)`);
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to)
+        ? `${column} < datetime(?, '+1 day')`
+        : `${column} <= datetime(?)`);
+      params.push(to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Date range plus the archived filter ('exclude' by default, 'include' or 'only'); alias is a table prefix such as 'i.'
+  buildScope({ from, to, archived = 'exclude' } = {}, alias = '') {
+    const conditions = [];
+
+    if (archived === 'only') {
+      conditions.push(`${alias}archived_at IS NOT NULL`);
+    } else if (archived !== 'include') {
+      conditions.push(`${alias}archived_at IS NULL`);
+    }
+
+    return this.buildDateRange({ from, to }, `${alias}created_at`, conditions);
+  }
+
+  async getStats({ from = null, to = null, interval = 'day', archived = 'exclude' } = {}) {
+    const range = this.buildScope({ from, to, archived });
+    const milestonesRange = this.buildScope({ from, to, archived }, 'i.');
+    const milestones = milestonesCte(milestonesRange.where);
+
+    const [totals, timeline, funnel, responseTimes, byLocation, byAssignee] = await Promise.all([
+      this.db.executeQuery(
+        `SELECT COUNT(*) AS total,
+           SUM(status = 'pending') AS pending,
+           SUM(status = 'in_progress') AS in_progress,
+           SUM(status = 'completed') AS completed,
+           SUM(status = 'cancelled') AS cancelled,
+           SUM(priority = 1) AS critical,
+           SUM(priority = 2) AS high,
+           SUM(priority = 3) AS medium,
+           SUM(priority = 4) AS low,
+           SUM(priority = 5) AS backlog,
+           SUM(priority <= 2 AND status = 'pending') AS urgent
+         FROM inquiries ${range.where}`,
+        range.params
+      ),
+      this.db.executeQuery(
+        `SELECT ${BUCKET_EXPRESSIONS.get(interval)} AS period,
+           COUNT(*) AS total,
+           SUM(status = 'completed') AS completed,
+           SUM(status = 'cancelled') AS cancelled
+         FROM inquiries ${range.where}
+         GROUP BY period ORDER BY period ASC`,
+        range.params
+      ),
+      // Current status counts too, for inquiries whose history predates the timeline
+      this.db.executeQuery(
+        `${milestones}
+         SELECT COUNT(*) AS pending,
+           SUM(responded_at IS NOT NULL OR status IN ('in_progress', 'completed')) AS in_progress,
+           SUM(closed_at IS NOT NULL OR status = 'completed') AS completed,
+           SUM(status = 'cancelled') AS cancelled
+         FROM milestones`,
+        milestonesRange.params
+      ),
+      this.db.executeQuery(
+        `${milestones}
+         SELECT COUNT(responded_at) AS responded,
+           AVG(${hoursBetween('created_at', 'responded_at')}) AS avg_first_response,
+           MIN(${hoursBetween('created_at', 'responded_at')}) AS min_first_response,
+           MAX(${hoursBetween('created_at', 'responded_at')}) AS max_first_response,
+           COUNT(closed_at) AS closed,
+           AVG(${hoursBetween('created_at', 'closed_at')}) AS avg_time_to_close,
+           MIN(${hoursBetween('created_at', 'closed_at')}) AS min_time_to_close,
+           MAX(${hoursBetween('created_at', 'closed_at')}) AS max_time_to_close
+         FROM milestones`,
+        milestonesRange.params
+      ),
+      // Locations are free text, so group case- and whitespace-insensitively
+      this.db.executeQuery(
+        `SELECT MIN(TRIM(location)) AS location,
+           COUNT(*) AS total,
+           SUM(status = 'completed') AS completed
+         FROM inquiries ${range.where}
+         GROUP BY LOWER(TRIM(location))
+         ORDER BY total DESC, location ASC
+         LIMIT ?`,
+        [...range.params, BREAKDOWN_LIMIT]
+      ),
+      this.db.executeQuery(
+        `${milestones}
+         SELECT assigned_to,
+           COUNT(*) AS total,
+           SUM(status IN ('pending', 'in_progress')) AS open,
+           SUM(status = 'completed') AS completed,
+           AVG(${hoursBetween('created_at', 'responded_at')}) AS avg_first_response,
+           AVG(${hoursBetween('created_at', 'closed_at')}) AS avg_time_to_close
+         FROM milestones
+         GROUP BY assigned_to
+         ORDER BY total DESC, assigned_to ASC
+         LIMIT ?`,
+        [...milestonesRange.params, BREAKDOWN_LIMIT]
+      )
+    ]);
+
+    const summary = totals.results[0] || {};
+    const total = summary.total || 0;
+    const funnelCounts = funnel.results[0] || {};
+    const times = responseTimes.results[0] || {};
+
+    return {
+      total_inquiries: total,
+      by_status: {
+        pending: summary.pending || 0,
+        in_progress: summary.in_progress || 0,
+        completed: summary.completed || 0,
+        cancelled: summary.cancelled || 0
+      },
+      by_priority: {
+        critical: summary.critical || 0,
+        high: summary.high || 0,
+        medium: summary.medium || 0,
+        low: summary.low || 0,
+        backlog: summary.backlog || 0
+      },
+      urgent_inquiries: summary.urgent || 0,
+      completion_rate: percentage(summary.completed || 0, total),
+      timeline: {
+        interval,
+        buckets: timeline.results.map(bucket => ({
+          period: bucket.period,
+          total: bucket.total,
+          completed: bucket.completed || 0,
+          cancelled: bucket.cancelled || 0
+        }))
+      },
+      funnel: {
+        stages: FUNNEL_STAGES.map(status => ({
+          status,
+          count: funnelCounts[status] || 0,
+          rate: percentage(funnelCounts[status] || 0, funnelCounts.pending)
+        })),
+        cancelled: funnelCounts.cancelled || 0
+      },
+      response_times: {
+        first_response_hours: {
+          count: times.responded || 0,
+          average: roundHours(times.avg_first_response),
+          min: roundHours(times.min_first_response),
+          max: roundHours(times.max_first_response)
+        },
+        time_to_close_hours: {
+          count: times.closed || 0,
+          average: roundHours(times.avg_time_to_close),
+          min: roundHours(times.min_time_to_close),
+          max: roundHours(times.max_time_to_close)
+        }
+      },
+      by_location: byLocation.results.map(row => ({
+        location: row.location,
+        total: row.total,
+        completed: row.completed || 0
+      })),
+      by_assignee: byAssignee.results.map(row => ({
+        assigned_to: row.assigned_to,
+        total: row.total,
+        open: row.open || 0,
+        completed: row.completed || 0,
+        avg_first_response_hours: roundHours(row.avg_first_response),
+        avg_time_to_close_hours: roundHours(row.avg_time_to_close)
+      }))
+    };
+  }
+}
+
+export { InquiryStatsService };
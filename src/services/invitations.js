@@ -0,0 +1,157 @@
+/**
+ * Invitation Service - Signed, expiring invitations for new admin users
+ * Invite tokens are JWTs signed by the API keyring (type "invitation"). The admin_invitations
+ * row, looked up by the token's hash, decides whether an invite can still be used, so invites
+ * can be revoked and accepted only once.
+ */
+
+import { signToken, verifyToken } from './jwt.js';
+import { hashString } from '../utils/validation.js';
+
+export const DEFAULT_INVITATION_TTL_DAYS = 7;
+export const MAX_INVITATION_TTL_DAYS = 30;
+
+// Columns that are safe to return to clients (never token_hash), plus the derived status
+const PUBLIC_INVITATION_COLUMNS = `id, email, role, invited_by, expires_at, accepted_at, accepted_user_id, revoked_at, created_at,
+  CASE
+    WHEN accepted_at IS NOT NULL THEN 'accepted'
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at <= datetime('now') THEN 'expired'
+    ELSE 'pending'
+  END AS status`;
+
+// Status filter -> SQL condition (O(1) lookup)
+const STATUS_CONDITIONS = new Map([
+  ['pending', "accepted_at IS NULL AND revoked_at IS NULL AND expires_at > datetime('now')"],
+  ['accepted', 'accepted_at IS NOT NULL'],
+  ['revoked', 'revoked_at IS NOT NULL'],
+  ['expired', "accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= datetime('now')"]
+]);
+
+export const INVITATION_STATUSES = Array.from(STATUS_CONDITIONS.keys());
+
+// Invite lifetime in days: explicit value, then INVITATION_TTL_DAYS, then the default
+export function getInvitationTtlDays(env, requestedDays) {
+  const days = parseInt(requestedDays || env.INVITATION_TTL_DAYS) || DEFAULT_INVITATION_TTL_DAYS;
+  return Math.min(Math.max(days, 1), MAX_INVITATION_TTL_DAYS);
+}
+
+class InvitationService {
+  constructor(db, env) {
+    this.db = db;
+    this.env = env;
+  }
+
+  // Create an invite; any older pending invite for the same email stops working
+  // Returns { invitation, token }
+  async createInvitation({ email, role, invitedBy, ttlDays }) {
+    await this.db.executeQuery(
+      `UPDATE admin_invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE email = ? AND ${STATUS_CONDITIONS.get('pending')}`,
+      [email]
+    );
+
+    const token = await signToken({
+      type: 'invitation',
+      jti: crypto.randomUUID(),
+      email,
+      role
+    }, this.env, String(ttlDays * 24 * 60 * 60));
+
+    const result = await this.db.executeQuery(
+      `INSERT INTO admin_invitations (email, role, token_hash, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [email, role, await hashString(token), invitedBy, `+${ttlDays} days`]
+    );
+
+    return { invitation: await this.getInvitation(result.meta.last_row_id), token };
+  }
+
+  async getInvitation(id) {
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_INVITATION_COLUMNS} FROM admin_invitations WHERE id = ?`,
+      [id]
+    );
+    return result.results[0] || null;
+  }
+
+  // Resolve an invite token to its invitation (any status); null for unknown or forged tokens
+  async findByToken(token) {
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_INVITATION_COLUMNS} FROM admin_invitations WHERE token_hash = ?`,
+      [await hashString(token)]
+    );
+    const invitation = result.results[0];
+
+    if (!invitation) {
+      return null;
+    }
+
+    // A pending invite must still carry a valid signature (retired signing keys void their invites)
+    if (invitation.status === 'pending') {
+      const payload = await verifyToken(token, this.env);
+      if (!payload || payload.type !== 'invitation' || payload.email !== invitation.email) {
+        return null;
+      }
+    }
+
+    return invitation;
+  }
+
+  async listInvitations({ status = 'pending' } = {}, { limit = 20, offset = 0 } = {}) {
+    const where = STATUS_CONDITIONS.has(status) ? `WHERE ${STATUS_CONDITIONS.get(status)}` : '';
+
+    const [result, count] = await Promise.all([
+      this.db.executeQuery(
+        `SELECT ${PUBLIC_INVITATION_COLUMNS} FROM admin_invitations ${where}
+         ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [limit, offset]
+      ),
+      this.db.executeQuery(`SELECT COUNT(*) AS total FROM admin_invitations ${where}`)
+    ]);
+
+    return { invitations: result.results, total: count.results[0]?.total || 0 };
+  }
+
+  // Revoke a pending invite; returns the invitation as it was, or null when none is pending
+  async revokeInvitation(id) {
+    const invitation = await this.getInvitation(id);
+    if (!invitation || invitation.status !== 'pending') {
+      return null;
+    }
+
+    const result = await this.db.executeQuery(
+      `UPDATE admin_invitations SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND ${STATUS_CONDITIONS.get('pending')}`,
+      [id]
+    );
+    return result.meta?.changes ? invitation : null;
+  }
+
+  // Mark a pending invite as used; the pending guard makes concurrent accepts fail
+  async claimInvitation(id) {
+    const result = await this.db.executeQuery(
+      `UPDATE admin_invitations SET accepted_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND ${STATUS_CONDITIONS.get('pending')}`,
+      [id]
+    );
+    return Boolean(result.meta?.changes);
+  }
+
+  // Undo a claim when the account could not be created
+  async releaseInvitation(id) {
+    await this.db.executeQuery(
+      'UPDATE admin_invitations SET accepted_at = NULL WHERE id = ? AND accepted_user_id IS NULL',
+      [id]
+    );
+  }
+
+  async linkAcceptedUser(id, userId) {
+    await this.db.executeQuery(
+      'UPDATE admin_invitations SET accepted_user_id = ? WHERE id = ?',
+      [userId, id]
+    );
+  }
+}
+
+export { InvitationService };
@@ -0,0 +1,336 @@
+/**
+ * JWT Service - Token signing and verification via Web Crypto API
+ * Tokens are signed by a keyring: the active key signs and adds its `kid` to the header,
+ * every configured key verifies, so signing keys can be rotated without logging anyone out.
+ * Shared by the auth routes (issuing) and the auth middleware (verifying)
+ */
+
+// Key ID assigned to the legacy JWT_SECRET; tokens without a `kid` are verified with it
+export const LEGACY_KID = 'legacy';
+
+// Supported algorithms -> Web Crypto parameters (O(1) lookup)
+const JWT_ALGORITHMS = new Map([
+  ['HS256', {
+    kty: 'oct',
+    importParams: { name: 'HMAC', hash: 'SHA-256' },
+    signParams: { name: 'HMAC' }
+  }],
+  ['RS256', {
+    kty: 'RSA',
+    importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    signParams: { name: 'RSASSA-PKCS1-v1_5' },
+    generateParams: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' }
+  }],
+  ['ES256', {
+    kty: 'EC',
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    signParams: { name: 'ECDSA', hash: 'SHA-256' },
+    generateParams: { name: 'ECDSA', namedCurve: 'P-256' }
+  }]
+]);
+
+// JWK members per key type; anything else (key_ops, use, ...) is dropped before import
+const JWK_PUBLIC_MEMBERS = new Map([
+  ['EC', ['kty', 'crv', 'x', 'y']],
+  ['RSA', ['kty', 'n', 'e']]
+]);
+
+const JWK_PRIVATE_MEMBERS = new Map([
+  ['EC', ['d']],
+  ['RSA', ['d', 'p', 'q', 'dp', 'dq', 'qi']]
+]);
+
+// Base64url helpers (RFC 7515)
+function base64UrlEncode(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : new Uint8Array(input);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function base64UrlDecode(input) {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function pickMembers(jwk, members) {
+  return Object.fromEntries(members.filter(member => jwk[member] !== undefined).map(member => [member, jwk[member]]));
+}
+
+// Convert an expiresIn value ('24h', '7d' or seconds) into seconds
+function getLifetimeSeconds(expiresIn) {
+  return expiresIn === '24h' ? 24 * 60 * 60 :
+         expiresIn === '7d' ? 7 * 24 * 60 * 60 :
+         parseInt(expiresIn);
+}
+
+// Import one key definition: { kid, alg, secret } for HS256 or { kid, alg, jwk } for RS256/ES256
+// A JWK with private members can sign; a public-only JWK can only verify
+async function importKeyDefinition(definition) {
+  const { kid, alg } = definition;
+  const algorithm = JWT_ALGORITHMS.get(alg);
+
+  if (!kid || typeof kid !== 'string') {
+    throw new Error('Every JWT key needs a string "kid"');
+  }
+  if (!algorithm) {
+    throw new Error(`Unsupported JWT algorithm for key "${kid}": ${alg}`);
+  }
+
+  if (alg === 'HS256') {
+    if (!definition.secret) {
+      throw new Error(`HS256 key "${kid}" needs a "secret"`);
+    }
+
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(definition.secret),
+      algorithm.importParams,
+      false,
+      ['sign', 'verify']
+    );
+    return { kid, alg, signingKey: key, verificationKey: key, publicJwk: null };
+  }
+
+  const jwk = definition.jwk;
+  if (!jwk || jwk.kty !== algorithm.kty) {
+    throw new Error(`${alg} key "${kid}" needs a "jwk" with kty "${algorithm.kty}"`);
+  }
+
+  const publicJwk = pickMembers(jwk, JWK_PUBLIC_MEMBERS.get(jwk.kty));
+  const verificationKey = await crypto.subtle.importKey('jwk', publicJwk, algorithm.importParams, true, ['verify']);
+
+  const canSign = jwk.d !== undefined;
+  const signingKey = canSign
+    ? await crypto.subtle.importKey(
+      'jwk',
+      { ...publicJwk, ...pickMembers(jwk, JWK_PRIVATE_MEMBERS.get(jwk.kty)) },
+      algorithm.importParams,
+      false,
+      ['sign']
+    )
+    : null;
+
+  return {
+    kid,
+    alg,
+    signingKey,
+    verificationKey,
+    publicJwk: { ...publicJwk, kid, alg, use: 'sig' }
+  };
+}
+
+class JwtKeyring {
+  // keys: imported key entries in priority order; activeKid: the key used for signing
+  constructor(keys, activeKid) {
+    this.keys = new Map(keys.map(key => [key.kid, key]));
+    this.activeKid = activeKid;
+  }
+
+  get activeKey() {
+    return this.keys.get(this.activeKid) || null;
+  }
+
+  async sign(payload, expiresIn = '24h') {
+    const key = this.activeKey;
+    if (!key || !key.signingKey) {
+      throw new Error('No JWT signing key is configured');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: key.alg, typ: 'JWT', kid: key.kid };
+    const jwtPayload = {
+      ...payload,
+      iat: now,
+      exp: now + getLifetimeSeconds(expiresIn)
+    };
+
+    const data = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(jwtPayload))}`;
+    const signature = await crypto.subtle.sign(
+      JWT_ALGORITHMS.get(key.alg).signParams,
+      key.signingKey,
+      new TextEncoder().encode(data)
+    );
+
+    return `${data}.${base64UrlEncode(signature)}`;
+  }
+
+  // Verify the signature with the key named by the token's `kid` (legacy key when absent)
+  async verifySignature(token) {
+    try {
+      const [headerB64, payloadB64, signatureB64] = token.split('.');
+      if (!headerB64 || !payloadB64 || !signatureB64) {
+        return false;
+      }
+
+      const header = JSON.parse(new TextDecoder().decode(base64UrlDecode(headerB64)));
+      const key = this.keys.get(header.kid || LEGACY_KID);
+
+      // The key decides the algorithm; never trust the header's alg on its own
+      if (!key || header.alg !== key.alg) {
+        return false;
+      }
+
+      return await crypto.subtle.verify(
+        JWT_ALGORITHMS.get(key.alg).signParams,
+        key.verificationKey,
+        base64UrlDecode(signatureB64),
+        new TextEncoder().encode(`${headerB64}.${payloadB64}`)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Verify a token and return its payload, or null when the signature is invalid or it has expired
+  async verify(token) {
+    const decoded = decodeJWT(token);
+
+    if (!decoded || !(await this.verifySignature(token))) {
+      return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (decoded.payload.exp && decoded.payload.exp < now) {
+      return null;
+    }
+
+    return decoded.payload;
+  }
+
+  // Public keys for /.well-known/jwks.json (HMAC secrets are never published)
+  getJwks() {
+    return {
+      keys: Array.from(this.keys.values())
+        .filter(key => key.publicJwk)
+        .map(key => key.publicJwk)
+    };
+  }
+}
+
+// Build a keyring from the environment
+// JWT_KEYS: JSON array of key definitions; JWT_ACTIVE_KID: signing key (default: first key that can sign)
+// JWT_SECRET: legacy HS256 secret, kept as a verification (and fallback signing) key with kid "legacy"
+export async function createKeyring(env) {
+  const definitions = env.JWT_KEYS
+    ? (typeof env.JWT_KEYS === 'string' ? JSON.parse(env.JWT_KEYS) : env.JWT_KEYS)
+    : [];
+
+  if (!Array.isArray(definitions)) {
+    throw new Error('JWT_KEYS must be a JSON array of key definitions');
+  }
+
+  const keys = [];
+  for (const definition of definitions) {
+    keys.push(await importKeyDefinition(definition));
+  }
+
+  if (env.JWT_SECRET) {
+    keys.push(await importKeyDefinition({ kid: LEGACY_KID, alg: 'HS256', secret: env.JWT_SECRET }));
+  }
+
+  const activeKid = env.JWT_ACTIVE_KID || keys.find(key => key.signingKey)?.kid || null;
+  if (env.JWT_ACTIVE_KID && !keys.some(key => key.kid === env.JWT_ACTIVE_KID && key.signingKey)) {
+    throw new Error(`JWT_ACTIVE_KID "${env.JWT_ACTIVE_KID}" does not name a key that can sign`);
+  }
+
+  return new JwtKeyring(keys, activeKid);
+}
+
+// Build a verification-only keyring from a JWK Set published by another issuer (e.g. an OIDC provider)
+// Keys for encryption or with unsupported algorithms are skipped
+export async function createKeyringFromJwks(jwks) {
+  const keys = [];
+
+  for (const jwk of jwks?.keys || []) {
+    const alg = jwk.alg || (jwk.kty === 'EC' ? 'ES256' : 'RS256');
+    if (jwk.use === 'enc' || !jwk.kid || !JWT_ALGORITHMS.has(alg) || alg === 'HS256') {
+      continue;
+    }
+
+    const { d, ...publicJwk } = jwk;
+    keys.push(await importKeyDefinition({ kid: jwk.kid, alg, jwk: publicJwk }));
+  }
+
+  return new JwtKeyring(keys, null);
+}
+
+// Imported keyrings per environment object (CryptoKey import is relatively expensive)
+const keyringCache = new WeakMap();
+
+export async function getKeyring(env) {
+  if (!keyringCache.has(env)) {
+    keyringCache.set(env, createKeyring(env).catch(error => {
+      keyringCache.delete(env);
+      throw error;
+    }));
+  }
+  return await keyringCache.get(env);
+}
+
+// Sign a token with the environment's active key
+export async function signToken(payload, env, expiresIn = '24h') {
+  const keyring = await getKeyring(env);
+  return await keyring.sign(payload, expiresIn);
+}
+
+// Verify a token against the environment's keyring; returns the payload or null
+export async function verifyToken(token, env) {
+  const keyring = await getKeyring(env);
+  return await keyring.verify(token);
+}
+
+// Generate a new key definition for JWT_KEYS (private JWK included; keep it secret)
+export async function generateKeyDefinition(alg, kid) {
+  const algorithm = JWT_ALGORITHMS.get(alg);
+
+  if (alg === 'HS256') {
+    const secret = new Uint8Array(32);
+    crypto.getRandomValues(secret);
+    return { kid, alg, secret: base64UrlEncode(secret) };
+  }
+
+  if (!algorithm) {
+    throw new Error(`Unsupported JWT algorithm: ${alg}`);
+  }
+
+  const keyPair = await crypto.subtle.generateKey(algorithm.generateParams, true, ['sign', 'verify']);
+  return { kid, alg, jwk: await crypto.subtle.exportKey('jwk', keyPair.privateKey) };
+}
+
+// Generate a signed HS256 JWT with a raw secret (no keyring)
+export async function generateJWT(payload, secret, expiresIn = '24h') {
+  const keyring = new JwtKeyring([
+    await importKeyDefinition({ kid: LEGACY_KID, alg: 'HS256', secret })
+  ], LEGACY_KID);
+  return await keyring.sign(payload, expiresIn);
+}
+
+// Simple JWT decode (for header and payload extraction)
+export function decodeJWT(token) {
+  try {
+    const [header, payload] = token.split('.');
+    return {
+      header: JSON.parse(new TextDecoder().decode(base64UrlDecode(header))),
+      payload: JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Verify an HS256 JWT signature with a raw secret (no keyring)
+export async function verifyJWT(token, secret) {
+  try {
+    const keyring = new JwtKeyring([
+      await importKeyDefinition({ kid: LEGACY_KID, alg: 'HS256', secret })
+    ], LEGACY_KID);
+    return await keyring.verifySignature(token);
+  } catch (error) {
+    return false;
+  }
+}
+
+export { JwtKeyring };
@@ -0,0 +1,203 @@
+/**
+ * Lead Routing Service - Admin-managed assignment rules for new inquiries
+ * Active rules are evaluated in position order; the first rule whose conditions all match
+ * decides the assignee (fixed or round-robin across a team), priority and tags.
+ * A rule without conditions matches every inquiry, so it works as a catch-all.
+ */
+
+import { parseJsonSafely } from '../utils/validation.js';
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// "HH:MM" -> minutes since midnight
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes since midnight for an instant in an IANA timezone
+export function getMinutesOfDay(now, timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+function includesAny(text, needles) {
+  const haystack = (text || '').toLowerCase();
+  return needles.some(needle => haystack.includes(needle.toLowerCase()));
+}
+
+// Condition name -> matcher(value, inquiry, context) (O(1) lookup); every present condition must match
+const CONDITION_MATCHERS = new Map([
+  ['locations', (locations, inquiry) => includesAny(inquiry.location, locations)],
+  ['keywords', (keywords, inquiry) => includesAny(inquiry.project_description, keywords)],
+  ['priorities', (priorities, inquiry) => priorities.includes(inquiry.priority)],
+  // Windows that end before they start wrap past midnight (e.g. 18:00-08:00)
+  ['time_of_day', ({ start, end, timezone }, inquiry, { now, defaultTimezone }) => {
+    const minutes = getMinutesOfDay(now, timezone || defaultTimezone);
+    const from = parseTimeOfDay(start);
+    const to = parseTimeOfDay(end);
+    return from <= to
+      ? minutes >= from && minutes < to
+      : minutes >= from || minutes < to;
+  }]
+]);
+
+export const ROUTING_CONDITIONS = Array.from(CONDITION_MATCHERS.keys());
+
+export function matchesRule(rule, inquiry, context) {
+  return Object.entries(rule.conditions || {}).every(([name, value]) => {
+    const matcher = CONDITION_MATCHERS.get(name);
+    return matcher ? matcher(value, inquiry, context) : false;
+  });
+}
+
+// First active rule matching the inquiry, or null
+export function findMatchingRule(rules, inquiry, { now = new Date(), defaultTimezone = DEFAULT_TIMEZONE } = {}) {
+  return rules.find(rule => rule.is_active && matchesRule(rule, inquiry, { now, defaultTimezone })) || null;
+}
+
+function parseRule(row) {
+  if (!row) return null;
+
+  return {
+    ...row,
+    is_active: Boolean(row.is_active),
+    conditions: parseJsonSafely(row.conditions, {}),
+    actions: parseJsonSafely(row.actions, {})
+  };
+}
+
+class LeadRoutingService {
+  constructor(db, env = {}) {
+    this.db = db;
+    this.env = env;
+  }
+
+  async listRules() {
+    const result = await this.db.executeQuery(
+      'SELECT * FROM inquiry_routing_rules ORDER BY position ASC, id ASC'
+    );
+    return result.results.map(parseRule);
+  }
+
+  async getRule(id) {
+    const result = await this.db.executeQuery(
+      'SELECT * FROM inquiry_routing_rules WHERE id = ?',
+      [id]
+    );
+    return parseRule(result.results[0]);
+  }
+
+  async createRule({ name, description = '', position = 0, is_active = true, conditions = {}, actions }, createdBy = null) {
+    const result = await this.db.executeQuery(
+      `INSERT INTO inquiry_routing_rules (name, description, position, is_active, conditions, actions, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, description, position, is_active ? 1 : 0, JSON.stringify(conditions), JSON.stringify(actions), createdBy]
+    );
+    return await this.getRule(result.meta.last_row_id);
+  }
+
+  // Partial update; a new team restarts the round-robin rotation
+  async updateRule(id, updates) {
+    const columns = [];
+    const params = [];
+
+    for (const field of ['name', 'description', 'position']) {
+      if (updates[field] !== undefined) {
+        columns.push(`${field} = ?`);
+        params.push(updates[field]);
+      }
+    }
+
+    if (updates.is_active !== undefined) {
+      columns.push('is_active = ?');
+      params.push(updates.is_active ? 1 : 0);
+    }
+
+    if (updates.conditions !== undefined) {
+      columns.push('conditions = ?');
+      params.push(JSON.stringify(updates.conditions));
+    }
+
+    if (updates.actions !== undefined) {
+      columns.push('actions = ?', 'round_robin_cursor = 0');
+      params.push(JSON.stringify(updates.actions));
+    }
+
+    if (columns.length === 0) {
+      return await this.getRule(id);
+    }
+
+    const result = await this.db.executeQuery(
+      `UPDATE inquiry_routing_rules SET ${columns.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, id]
+    );
+    return result.meta?.changes ? await this.getRule(id) : null;
+  }
+
+  async deleteRule(id) {
+    const result = await this.db.executeQuery(
+      'DELETE FROM inquiry_routing_rules WHERE id = ?',
+      [id]
+    );
+    return Boolean(result.meta?.changes);
+  }
+
+  // Active rules in evaluation order
+  async getActiveRules() {
+    const result = await this.db.executeQuery(
+      'SELECT * FROM inquiry_routing_rules WHERE is_active = 1 ORDER BY position ASC, id ASC'
+    );
+    return result.results.map(parseRule);
+  }
+
+  // Decide routing for a new inquiry (fields as they will be inserted, including the auto priority)
+  // Returns { routing_rule_id, assigned_to, priority, tags } or null when no rule matches
+  // Pass rules from getActiveRules() when routing many inquiries at once
+  async routeInquiry(inquiry, now = new Date(), rules = null) {
+    const rule = findMatchingRule(rules || await this.getActiveRules(), inquiry, {
+      now,
+      defaultTimezone: this.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE
+    });
+
+    if (!rule) {
+      return null;
+    }
+
+    const { actions } = rule;
+    const routing = {
+      routing_rule_id: rule.id,
+      assigned_to: actions.assign_to || inquiry.assigned_to || null,
+      priority: actions.priority || inquiry.priority,
+      tags: [...new Set([...(inquiry.tags || []), ...(actions.tags || [])])]
+    };
+
+    if (actions.round_robin?.length) {
+      routing.assigned_to = await this.nextTeamMember(rule);
+    }
+
+    return routing;
+  }
+
+  // Advance the rule's cursor atomically so concurrent inquiries get different members
+  async nextTeamMember(rule) {
+    const result = await this.db.executeQuery(
+      `UPDATE inquiry_routing_rules SET round_robin_cursor = round_robin_cursor + 1
+       WHERE id = ? RETURNING round_robin_cursor`,
+      [rule.id]
+    );
+    const cursor = result.results[0]?.round_robin_cursor || 1;
+    const team = rule.actions.round_robin;
+    return team[(cursor - 1) % team.length];
+  }
+}
+
+export { LeadRoutingService };
@@ -0,0 +1,156 @@
+/**
+ * Login Throttle Service - Persistent failed-login counters with exponential backoff
+ * Counters are kept per account (email) and per client IP; after maxAttempts failures
+ * the key is locked out. Unknown emails are tracked exactly like real ones so that
+ * throttled responses never reveal whether an account exists.
+ */
+
+// Policies keyed by scope (O(1) lookup)
+// freeAttempts: failures allowed before backoff starts; maxAttempts: failures before lockout
+const THROTTLE_POLICIES = new Map([
+  ['account', { freeAttempts: 3, maxAttempts: 10 }],
+  ['ip', { freeAttempts: 10, maxAttempts: 50 }]
+]);
+
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Failures older than this are forgotten
+const FAILURE_WINDOW_MINUTES = 60;
+
+// Convert a Date into SQLite's datetime() text format for comparisons
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqliteDate(value) {
+  return value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+}
+
+// Build the throttle keys for a login attempt
+export function getThrottleKeys(email, ipAddress) {
+  return [
+    { scope: 'account', identifier: email.trim().toLowerCase() },
+    { scope: 'ip', identifier: ipAddress || 'unknown' }
+  ];
+}
+
+// Seconds to wait after the given number of consecutive failures (0 = no wait)
+export function getBackoffSeconds(failedCount, policy, lockoutMinutes = DEFAULT_LOCKOUT_MINUTES) {
+  const lockoutSeconds = lockoutMinutes * 60;
+
+  if (failedCount >= policy.maxAttempts) return lockoutSeconds;
+  if (failedCount <= policy.freeAttempts) return 0;
+
+  return Math.min(2 ** (failedCount - policy.freeAttempts - 1), lockoutSeconds);
+}
+
+class LoginThrottleService {
+  constructor(db, env = {}) {
+    this.db = db;
+    this.lockoutMinutes = parseInt(env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+    this.policies = new Map(THROTTLE_POLICIES);
+
+    const maxAttempts = parseInt(env.LOGIN_MAX_ATTEMPTS);
+    if (maxAttempts > 0) {
+      const account = this.policies.get('account');
+      this.policies.set('account', {
+        freeAttempts: Math.min(account.freeAttempts, maxAttempts - 1),
+        maxAttempts
+      });
+    }
+  }
+
+  async getRow(scope, identifier) {
+    const result = await this.db.executeQuery(
+      'SELECT * FROM login_throttles WHERE scope = ? AND identifier = ?',
+      [scope, identifier]
+    );
+    return result.results[0] || null;
+  }
+
+  // Returns the number of seconds the caller must wait (0 = attempt allowed)
+  async getRetryAfter(keys, now = new Date()) {
+    let retryAfter = 0;
+
+    for (const { scope, identifier } of keys) {
+      const row = await this.getRow(scope, identifier);
+      const lockedUntil = fromSqliteDate(row?.locked_until);
+
+      if (lockedUntil && lockedUntil > now) {
+        retryAfter = Math.max(retryAfter, Math.ceil((lockedUntil - now) / 1000));
+      }
+    }
+
+    return retryAfter;
+  }
+
+  // Count a failed attempt against every key; returns the resulting wait in seconds
+  async recordFailure(keys, now = new Date()) {
+    let retryAfter = 0;
+
+    for (const { scope, identifier } of keys) {
+      const policy = this.policies.get(scope);
+      const row = await this.getRow(scope, identifier);
+      const lastFailedAt = fromSqliteDate(row?.last_failed_at);
+
+      const windowStart = now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000;
+      const failedCount = lastFailedAt && lastFailedAt.getTime() > windowStart
+        ? row.failed_count + 1
+        : 1;
+
+      const waitSeconds = getBackoffSeconds(failedCount, policy, this.lockoutMinutes);
+      const lockedUntil = waitSeconds > 0 ? toSqliteDate(new Date(now.getTime() + waitSeconds * 1000)) : null;
+
+      await this.db.executeQuery(
+        `INSERT INTO login_throttles (scope, identifier, failed_count, last_failed_at, locked_until)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (scope, identifier) DO UPDATE SET
+           failed_count = excluded.failed_count,
+           last_failed_at = excluded.last_failed_at,
+           locked_until = excluded.locked_until`,
+        [scope, identifier, failedCount, toSqliteDate(now), lockedUntil]
+      );
+
+      retryAfter = Math.max(retryAfter, waitSeconds);
+    }
+
+    return retryAfter;
+  }
+
+  // Reset a counter (e.g. the account after a successful login)
+  async clear(scope, identifier) {
+    await this.db.executeQuery(
+      'DELETE FROM login_throttles WHERE scope = ? AND identifier = ?',
+      [scope, identifier]
+    );
+  }
+
+  // Returns the cleared row, or null if it did not exist
+  async clearById(id) {
+    const result = await this.db.executeQuery('SELECT * FROM login_throttles WHERE id = ?', [id]);
+    const row = result.results[0];
+
+    if (row) {
+      await this.db.executeQuery('DELETE FROM login_throttles WHERE id = ?', [id]);
+    }
+    return row || null;
+  }
+
+  // Current lockouts and recent failures, most recent first
+  async listThrottles({ lockedOnly = false } = {}, now = new Date()) {
+    const windowStart = toSqliteDate(new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000));
+    const result = await this.db.executeQuery(
+      `SELECT * FROM login_throttles
+       WHERE locked_until > ? ${lockedOnly ? '' : 'OR last_failed_at > ?'}
+       ORDER BY last_failed_at DESC`,
+      lockedOnly ? [toSqliteDate(now)] : [toSqliteDate(now), windowStart]
+    );
+
+    return result.results.map(row => ({
+      ...row,
+      locked: Boolean(row.locked_until && fromSqliteDate(row.locked_until) > now)
+    }));
+  }
+}
+
+export { LoginThrottleService };
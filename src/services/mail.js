@@ -0,0 +1,92 @@
+/**
+ * Mail Service - Pluggable transports for transactional email
+ * Select a transport with env.MAIL_TRANSPORT ('console' for local development, 'memory' for tests, 'resend').
+ * It must be set outside development: an unset transport fails instead of silently not sending.
+ */
+
+// Messages captured by the in-memory transport (inspect in tests)
+export const memoryOutbox = [];
+
+// Logs that a message was sent instead of sending it (local development)
+// Bodies carry reset and invite tokens, so only the recipient and subject are logged
+class ConsoleMailTransport {
+  async send(message) {
+    console.log('[Mail]', JSON.stringify({
+      to: message.to,
+      subject: message.subject
+    }));
+    return { delivered: false, transport: 'console' };
+  }
+}
+
+// Stores messages in memoryOutbox (tests)
+class MemoryMailTransport {
+  async send(message) {
+    memoryOutbox.push({ ...message, sentAt: new Date().toISOString() });
+    return { delivered: true, transport: 'memory' };
+  }
+}
+
+// Sends through the Resend HTTP API (production)
+class ResendMailTransport {
+  constructor(apiKey, from) {
+    this.apiKey = apiKey;
+    this.from = from;
+  }
+
+  async send(message) {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: message.from || this.from,
+        to: [message.to],
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail delivery failed with status ${response.status}`);
+    }
+
+    return { delivered: true, transport: 'resend' };
+  }
+}
+
+// Transport factories keyed by name (O(1) lookup); extend with registerMailTransport
+const MAIL_TRANSPORTS = new Map([
+  ['console', () => new ConsoleMailTransport()],
+  ['memory', () => new MemoryMailTransport()],
+  ['resend', (env) => {
+    if (!env.RESEND_API_KEY) {
+      throw new Error('RESEND_API_KEY is required for the resend mail transport');
+    }
+    return new ResendMailTransport(env.RESEND_API_KEY, env.MAIL_FROM || 'Eleven Interior <no-reply@eleveninterior.com>');
+  }]
+]);
+
+// Register a custom transport factory: (env) => ({ send(message) })
+export function registerMailTransport(name, factory) {
+  MAIL_TRANSPORTS.set(name, factory);
+}
+
+// Factory function to create the configured mail transport
+export function createMailTransport(env) {
+  if (!env.MAIL_TRANSPORT && env.ENVIRONMENT !== 'development') {
+    throw new Error('MAIL_TRANSPORT is not configured');
+  }
+
+  const name = env.MAIL_TRANSPORT || 'console';
+  const factory = MAIL_TRANSPORTS.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return factory(env);
+}
@@ -0,0 +1,332 @@
+/**
+ * OIDC Service - OpenID Connect single sign-on (authorization code flow with PKCE)
+ * The provider is discovered from OIDC_ISSUER (Google by default, or a local mock issuer in tests).
+ * ID tokens are verified against the provider's JWKS; verified emails and domains are mapped
+ * to admin users and roles with OIDC_ROLE_MAPPINGS.
+ */
+
+import { createKeyringFromJwks, decodeJWT } from './jwt.js';
+import { ROLE_PERMISSIONS } from '../middleware/auth.js';
+
+export const DEFAULT_OIDC_ISSUER = 'https://accounts.google.com';
+
+// Pending authorization requests expire after 10 minutes
+const LOGIN_STATE_TTL = '+10 minutes';
+
+// Provider discovery documents and JWKS are cached per isolate for an hour
+const METADATA_CACHE_TTL = 60 * 60 * 1000;
+
+// Allowed clock difference when checking exp/iat
+const CLOCK_SKEW_SECONDS = 60;
+
+// issuer -> { metadata, expiresAt } and jwks_uri -> { keyring, expiresAt }
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// Errors raised during the flow; routes turn them into error responses
+export class OidcError extends Error {
+  constructor(message, code = 'OIDC_ERROR', status = 401) {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function randomToken(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+// PKCE S256 code challenge for a verifier (RFC 7636)
+export async function createCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(digest);
+}
+
+// Parse OIDC_ROLE_MAPPINGS ({"alice@example.com": "admin", "example.com": "viewer"}) into a Map
+// Keys are lower-cased; a key containing "@" matches one address, anything else a whole domain
+export function parseRoleMappings(value) {
+  const mappings = value ? (typeof value === 'string' ? JSON.parse(value) : value) : {};
+
+  if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw new Error('OIDC_ROLE_MAPPINGS must be a JSON object of email or domain -> role');
+  }
+
+  return new Map(Object.entries(mappings).map(([key, role]) => {
+    if (!ROLE_PERMISSIONS.has(role)) {
+      throw new Error(`OIDC_ROLE_MAPPINGS has an unknown role for "${key}": ${role}`);
+    }
+    return [key.toLowerCase().replace(/^@/, ''), role];
+  }));
+}
+
+// Read the provider configuration; null when SSO is not configured
+export function getOidcConfig(env) {
+  if (!env.OIDC_CLIENT_ID || !env.OIDC_REDIRECT_URI) {
+    return null;
+  }
+
+  return {
+    issuer: (env.OIDC_ISSUER || DEFAULT_OIDC_ISSUER).replace(/\/$/, ''),
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET || null,
+    redirectUri: env.OIDC_REDIRECT_URI,
+    scopes: env.OIDC_SCOPES || 'openid email profile',
+    roleMappings: parseRoleMappings(env.OIDC_ROLE_MAPPINGS)
+  };
+}
+
+// Role for a verified identity that has no admin account yet, or null when it is not allowed in
+// Domain rules use the Workspace `hd` claim with Google, and the email domain with other issuers
+export function resolveMappedRole(claims, config) {
+  const email = claims.email.toLowerCase();
+  const exactRole = config.roleMappings.get(email);
+  if (exactRole) {
+    return exactRole;
+  }
+
+  const domain = config.issuer === DEFAULT_OIDC_ISSUER
+    ? (claims.hd || '').toLowerCase()
+    : email.split('@')[1];
+
+  return (domain && config.roleMappings.get(domain)) || null;
+}
+
+async function fetchJson(url, options, description) {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new OidcError(`Could not reach the identity provider (${description})`, 'OIDC_PROVIDER_ERROR', 502);
+  }
+
+  if (!response.ok) {
+    throw new OidcError(`Identity provider rejected the ${description} request (HTTP ${response.status})`, 'OIDC_PROVIDER_ERROR', 502);
+  }
+
+  return await response.json();
+}
+
+class OidcService {
+  constructor(db, config) {
+    this.db = db;
+    this.config = config;
+  }
+
+  // Provider metadata from /.well-known/openid-configuration
+  async getProviderMetadata() {
+    const { issuer } = this.config;
+    const cached = metadataCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`, {}, 'discovery');
+    if ((metadata.issuer || '').replace(/\/$/, '') !== issuer) {
+      throw new OidcError('Identity provider metadata does not match OIDC_ISSUER', 'OIDC_PROVIDER_ERROR', 502);
+    }
+
+    metadataCache.set(issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL });
+    return metadata;
+  }
+
+  // Verification keyring for the provider; refetched when a token names an unknown kid (key rotation)
+  async getProviderKeyring(jwksUri, kid) {
+    const cached = jwksCache.get(jwksUri);
+    if (cached && cached.expiresAt > Date.now() && cached.keyring.keys.has(kid)) {
+      return cached.keyring;
+    }
+
+    const keyring = await createKeyringFromJwks(await fetchJson(jwksUri, {}, 'JWKS'));
+    jwksCache.set(jwksUri, { keyring, expiresAt: Date.now() + METADATA_CACHE_TTL });
+    return keyring;
+  }
+
+  // Create a pending login and return the provider URL to send the browser to
+  async createAuthorizationRequest(ipAddress = null) {
+    const metadata = await this.getProviderMetadata();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken(48);
+
+    // Opportunistically drop abandoned logins
+    await this.db.executeQuery("DELETE FROM oidc_login_states WHERE expires_at <= datetime('now')");
+    await this.db.executeQuery(
+      `INSERT INTO oidc_login_states (state, code_verifier, nonce, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [state, codeVerifier, nonce, ipAddress, LOGIN_STATE_TTL]
+    );
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.config.clientId,
+      redirect_uri: this.config.redirectUri,
+      scope: this.config.scopes,
+      state,
+      nonce,
+      code_challenge: await createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { authorizationUrl: url.toString(), state };
+  }
+
+  // Take a pending login exactly once; null when unknown, expired or already used
+  async consumeState(state) {
+    const result = await this.db.executeQuery(
+      "SELECT *, expires_at > datetime('now') AS unexpired FROM oidc_login_states WHERE state = ?",
+      [state]
+    );
+    const row = result.results[0];
+    if (!row) {
+      return null;
+    }
+
+    const deleted = await this.db.executeQuery('DELETE FROM oidc_login_states WHERE state = ?', [state]);
+    if (!deleted.meta?.changes || !row.unexpired) {
+      return null;
+    }
+
+    return row;
+  }
+
+  // Exchange the authorization code and return the verified ID token claims
+  async completeAuthorization({ code, state }) {
+    const pending = await this.consumeState(state);
+    if (!pending) {
+      throw new OidcError('Login request is invalid or has expired. Please start again.', 'INVALID_OIDC_STATE', 400);
+    }
+
+    const metadata = await this.getProviderMetadata();
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.config.redirectUri,
+      client_id: this.config.clientId,
+      code_verifier: pending.code_verifier
+    });
+    if (this.config.clientSecret) {
+      params.set('client_secret', this.config.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: params.toString()
+    }, 'token');
+
+    if (!tokens.id_token) {
+      throw new OidcError('Identity provider did not return an ID token', 'OIDC_PROVIDER_ERROR', 502);
+    }
+
+    return await this.verifyIdToken(tokens.id_token, metadata, pending.nonce);
+  }
+
+  // Validate signature, issuer, audience, lifetime and nonce of an ID token
+  async verifyIdToken(idToken, metadata, expectedNonce) {
+    const decoded = decodeJWT(idToken);
+    if (!decoded) {
+      throw new OidcError('ID token is malformed', 'INVALID_ID_TOKEN');
+    }
+
+    const keyring = await this.getProviderKeyring(metadata.jwks_uri, decoded.header.kid);
+    if (!(await keyring.verifySignature(idToken))) {
+      throw new OidcError('ID token signature is invalid', 'INVALID_ID_TOKEN');
+    }
+
+    const claims = decoded.payload;
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    const now = Math.floor(Date.now() / 1000);
+
+    if ((claims.iss || '').replace(/\/$/, '') !== this.config.issuer) {
+      throw new OidcError('ID token was issued by an unexpected issuer', 'INVALID_ID_TOKEN');
+    }
+    if (!audiences.includes(this.config.clientId) || (audiences.length > 1 && claims.azp !== this.config.clientId)) {
+      throw new OidcError('ID token was issued for another client', 'INVALID_ID_TOKEN');
+    }
+    if (!claims.exp || claims.exp < now - CLOCK_SKEW_SECONDS || (claims.iat && claims.iat > now + CLOCK_SKEW_SECONDS)) {
+      throw new OidcError('ID token has expired', 'INVALID_ID_TOKEN');
+    }
+    if (claims.nonce !== expectedNonce) {
+      throw new OidcError('ID token nonce does not match the login request', 'INVALID_ID_TOKEN');
+    }
+    if (!claims.sub || !claims.email || (claims.email_verified !== true && claims.email_verified !== 'true')) {
+      throw new OidcError('Identity provider did not return a verified email address', 'OIDC_EMAIL_NOT_VERIFIED', 403);
+    }
+
+    return claims;
+  }
+
+  // Find (or provision from OIDC_ROLE_MAPPINGS) the admin user for verified claims
+  // Returns { user, provisioned }
+  async resolveUser(claims) {
+    const { issuer } = this.config;
+    const email = claims.email.toLowerCase();
+
+    const result = await this.db.executeQuery(
+      'SELECT * FROM admin_users WHERE LOWER(email) = ?',
+      [email]
+    );
+    const existing = result.results[0];
+
+    if (existing) {
+      if (!existing.is_active) {
+        throw new OidcError('This account has been deactivated', 'OIDC_USER_NOT_ALLOWED', 403);
+      }
+
+      // An account stays bound to the provider identity that first signed in to it
+      if (existing.oidc_subject && (existing.oidc_subject !== claims.sub || existing.oidc_issuer !== issuer)) {
+        throw new OidcError('This account is linked to a different single sign-on identity', 'OIDC_ACCOUNT_MISMATCH', 403);
+      }
+
+      if (!existing.oidc_subject) {
+        await this.db.executeQuery(
+          'UPDATE admin_users SET oidc_issuer = ?, oidc_subject = ? WHERE id = ?',
+          [issuer, claims.sub, existing.id]
+        );
+      }
+
+      return { user: existing, provisioned: false };
+    }
+
+    const role = resolveMappedRole(claims, this.config);
+    if (!role) {
+      throw new OidcError('No admin account is mapped to this identity', 'OIDC_USER_NOT_ALLOWED', 403);
+    }
+
+    // SSO-only accounts get an unusable password hash; a password can be set via reset-password
+    const insert = await this.db.executeQuery(
+      'INSERT INTO admin_users (email, password_hash, role, oidc_issuer, oidc_subject) VALUES (?, ?, ?, ?, ?)',
+      [email, `!oidc:${randomToken()}`, role, issuer, claims.sub]
+    );
+
+    const created = await this.db.executeQuery(
+      'SELECT * FROM admin_users WHERE id = ?',
+      [insert.meta.last_row_id]
+    );
+
+    return { user: created.results[0], provisioned: true };
+  }
+}
+
+// Reset cached provider metadata and keys (tests, or after reconfiguring the issuer)
+export function clearOidcCache() {
+  metadataCache.clear();
+  jwksCache.clear();
+}
+
+export { OidcService };
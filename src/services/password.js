@@ -0,0 +1,122 @@
+/**
+ * Password Service - Password hashing helpers shared by auth and user management
+ * Salted PBKDF2 (WebCrypto) with a self-describing hash format:
+ *   pbkdf2$sha256$<iterations>$<salt base64>$<hash base64>
+ */
+
+const PBKDF2_CONFIG = {
+  algorithm: 'pbkdf2',
+  digest: 'sha256',
+  iterations: 100000, // Cloudflare Workers caps PBKDF2 at 100k iterations
+  saltBytes: 16,
+  keyBytes: 32
+};
+
+// Legacy unsalted SHA-256 hashes are 64 hex characters
+const LEGACY_SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Hash of a discarded random password, checked on logins to unknown accounts so they take as long as real ones
+export const DUMMY_PASSWORD_HASH = [
+  PBKDF2_CONFIG.algorithm,
+  PBKDF2_CONFIG.digest,
+  PBKDF2_CONFIG.iterations,
+  'nZefjKGxDgIfAhtUWwbgRg==',
+  'wSWlOQiaQzh1HRkb+dxL0ZrybQpFswJs16KzjYqM41w='
+].join('$');
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value) {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+function hexToBytes(hex) {
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+async function deriveKey(password, salt, iterations, keyBytes) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    keyBytes * 8
+  );
+
+  return new Uint8Array(bits);
+}
+
+async function legacySha256(password) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password));
+  return new Uint8Array(hashBuffer);
+}
+
+// Compare two byte arrays without short-circuiting on the first mismatch
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+// Hash a password for storage
+export async function hashPassword(password) {
+  const salt = new Uint8Array(PBKDF2_CONFIG.saltBytes);
+  crypto.getRandomValues(salt);
+
+  const hash = await deriveKey(password, salt, PBKDF2_CONFIG.iterations, PBKDF2_CONFIG.keyBytes);
+
+  return [
+    PBKDF2_CONFIG.algorithm,
+    PBKDF2_CONFIG.digest,
+    PBKDF2_CONFIG.iterations,
+    toBase64(salt),
+    toBase64(hash)
+  ].join('$');
+}
+
+// Verify a password against a stored hash (PBKDF2 or legacy SHA-256)
+// needsRehash is true when the stored hash should be upgraded to the current format
+export async function verifyPassword(password, storedHash) {
+  if (!storedHash || typeof storedHash !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256_PATTERN.test(storedHash)) {
+    const actual = await legacySha256(password);
+    return { valid: timingSafeEqual(actual, hexToBytes(storedHash)), needsRehash: true };
+  }
+
+  const [algorithm, digest, iterationsValue, saltB64, hashB64] = storedHash.split('$');
+  const iterations = parseInt(iterationsValue);
+
+  if (algorithm !== PBKDF2_CONFIG.algorithm || digest !== PBKDF2_CONFIG.digest ||
+      !iterations || !saltB64 || !hashB64) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const expected = fromBase64(hashB64);
+  const actual = await deriveKey(password, fromBase64(saltB64), iterations, expected.length);
+
+  return {
+    valid: timingSafeEqual(actual, expected),
+    needsRehash: iterations < PBKDF2_CONFIG.iterations
+  };
+}
@@ -0,0 +1,314 @@
+/**
+ * Rate Limit Service - Limiter algorithms and pluggable state stores
+ * Algorithms are pure functions over a small state object; stores apply them atomically:
+ * in-memory (tests, single isolate), the D1 rate_limits table, or a Durable Object per key.
+ * Select a store with env.RATE_LIMIT_STORE and an algorithm with env.RATE_LIMIT_ALGORITHM.
+ */
+
+import { DatabaseService } from './database.js';
+
+// LRU Cache implementation for the memory store (DSA: Doubly Linked List + HashMap)
+class LRUCache {
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.cache = new Map();
+    this.head = { key: null, value: null, prev: null, next: null };
+    this.tail = { key: null, value: null, prev: null, next: null };
+    this.head.next = this.tail;
+    this.tail.prev = this.head;
+  }
+
+  get(key) {
+    if (this.cache.has(key)) {
+      const node = this.cache.get(key);
+      this.moveToHead(node);
+      return node.value;
+    }
+    return null;
+  }
+
+  put(key, value) {
+    if (this.cache.has(key)) {
+      const node = this.cache.get(key);
+      node.value = value;
+      this.moveToHead(node);
+    } else {
+      const newNode = { key, value, prev: null, next: null };
+
+      if (this.cache.size >= this.capacity) {
+        const tail = this.removeTail();
+        this.cache.delete(tail.key);
+      }
+
+      this.cache.set(key, newNode);
+      this.addToHead(newNode);
+    }
+  }
+
+  addToHead(node) {
+    node.prev = this.head;
+    node.next = this.head.next;
+    this.head.next.prev = node;
+    this.head.next = node;
+  }
+
+  removeNode(node) {
+    node.prev.next = node.next;
+    node.next.prev = node.prev;
+  }
+
+  moveToHead(node) {
+    this.removeNode(node);
+    this.addToHead(node);
+  }
+
+  removeTail() {
+    const last = this.tail.prev;
+    this.removeNode(last);
+    return last;
+  }
+}
+
+// Sliding window counter: the previous fixed window's count is weighted by how much of it
+// still overlaps the sliding window, so bursts at a window boundary cannot double the limit
+function slidingWindow(state, { limit, windowMs }, now) {
+  const windowStart = now - (now % windowMs);
+  let current = 0;
+  let previous = 0;
+
+  if (state?.windowStart === windowStart) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state?.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const elapsed = now - windowStart;
+  const previousWeight = 1 - elapsed / windowMs;
+  const allowed = previous * previousWeight + current + 1 <= limit;
+
+  if (allowed) {
+    current++;
+  }
+
+  // Time until one more request fits: wait for the previous window to slide out, and
+  // for the current window to become the previous one if it is full on its own
+  let retryAfterMs = 0;
+  if (!allowed) {
+    retryAfterMs = current + 1 > limit
+      ? (windowMs - elapsed) + Math.max(0, Math.ceil(windowMs * (1 - (limit - 1) / current)))
+      : Math.max(0, Math.ceil(windowMs * (1 - (limit - current - 1) / previous)) - elapsed);
+  }
+
+  return {
+    state: { windowStart, current, previous },
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - (previous * previousWeight + current))),
+    resetMs: allowed ? windowMs - elapsed : retryAfterMs,
+    retryAfterMs,
+    expiresAt: windowStart + 2 * windowMs
+  };
+}
+
+// Token bucket: holds up to `limit` tokens and refills `limit` tokens per window
+function tokenBucket(state, { limit, windowMs }, now) {
+  const refillPerMs = limit / windowMs;
+  const tokens = state
+    ? Math.min(limit, state.tokens + Math.max(0, now - state.updatedAt) * refillPerMs)
+    : limit;
+
+  const allowed = tokens >= 1;
+  const left = allowed ? tokens - 1 : tokens;
+
+  return {
+    state: { tokens: left, updatedAt: now },
+    allowed,
+    limit,
+    remaining: Math.floor(left),
+    resetMs: Math.ceil((limit - left) / refillPerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - left) / refillPerMs),
+    expiresAt: now + windowMs
+  };
+}
+
+// Algorithm name -> implementation (O(1) lookup)
+export const RATE_LIMIT_ALGORITHMS = new Map([
+  ['sliding-window', slidingWindow],
+  ['token-bucket', tokenBucket]
+]);
+
+export const DEFAULT_RATE_LIMIT_ALGORITHM = 'sliding-window';
+
+// Apply a policy ({ limit, windowMs, algorithm }) to the stored state for one key
+export function applyRateLimit(state, policy, now = Date.now()) {
+  const algorithm = RATE_LIMIT_ALGORITHMS.get(policy.algorithm || DEFAULT_RATE_LIMIT_ALGORITHM);
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm: ${policy.algorithm}`);
+  }
+  return algorithm(state, policy, now);
+}
+
+// Strip the internal state before handing a result to the middleware
+function toDecision({ state, ...decision }) {
+  return decision;
+}
+
+// Per-isolate counters; only suitable for tests and local development
+class MemoryRateLimitStore {
+  constructor(capacity = 1000) {
+    this.cache = new LRUCache(capacity);
+  }
+
+  async consume(key, policy) {
+    const now = Date.now();
+    const entry = this.cache.get(key);
+    const result = applyRateLimit(entry && entry.expiresAt > now ? entry.state : null, policy, now);
+
+    this.cache.put(key, { state: result.state, expiresAt: result.expiresAt });
+    return toDecision(result);
+  }
+}
+
+// Shared counters in the D1 rate_limits table, updated with optimistic concurrency:
+// the write only lands if the row version is unchanged since it was read
+class D1RateLimitStore {
+  constructor(db, { maxAttempts = 3, cleanupProbability = 0.01 } = {}) {
+    this.db = db;
+    this.maxAttempts = maxAttempts;
+    this.cleanupProbability = cleanupProbability;
+  }
+
+  async consume(key, policy) {
+    let result;
+    let written = false;
+
+    for (let attempt = 0; attempt < this.maxAttempts && !written; attempt++) {
+      const now = Date.now();
+      const existing = await this.db.executeQuery(
+        'SELECT state, version, expires_at FROM rate_limits WHERE limiter_key = ?',
+        [key]
+      );
+      const row = existing.results[0];
+
+      result = applyRateLimit(row && row.expires_at > now ? JSON.parse(row.state) : null, policy, now);
+
+      const write = row
+        ? await this.db.executeQuery(
+          `UPDATE rate_limits SET state = ?, version = version + 1, expires_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE limiter_key = ? AND version = ?`,
+          [JSON.stringify(result.state), result.expiresAt, key, row.version]
+        )
+        : await this.db.executeQuery(
+          `INSERT INTO rate_limits (limiter_key, state, expires_at) VALUES (?, ?, ?)
+           ON CONFLICT(limiter_key) DO NOTHING`,
+          [key, JSON.stringify(result.state), result.expiresAt]
+        );
+
+      written = Boolean(write.meta?.changes);
+    }
+
+    // Expired rows are dead weight; sweep them now and then rather than on every request
+    if (Math.random() < this.cleanupProbability) {
+      await this.db.executeQuery('DELETE FROM rate_limits WHERE expires_at < ?', [Date.now()]);
+    }
+
+    // Still contended after every attempt: report the store as unavailable so the middleware
+    // fails open, or counts in memory for the auth policies, instead of refusing everyone on the key
+    if (!written) {
+      throw new Error(`Rate limit counter ${key} still contended after ${this.maxAttempts} attempts`);
+    }
+
+    return toDecision(result);
+  }
+}
+
+// One RateLimiterDurableObject per key; the object serializes requests, so counters are atomic
+class DurableObjectRateLimitStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async consume(key, policy) {
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const response = await stub.fetch('https://rate-limiter/consume', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ policy })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate limiter object failed with status ${response.status}`);
+    }
+
+    return await response.json();
+  }
+}
+
+// Durable Object class backing DurableObjectRateLimitStore (exported from the worker entry point)
+export class RateLimiterDurableObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { policy } = await request.json();
+    const now = Date.now();
+
+    // Input gates hold other events while storage is awaited, so this read-modify-write is atomic
+    const stored = await this.state.storage.get('limiter');
+    const result = applyRateLimit(stored && stored.expiresAt > now ? stored.state : null, policy, now);
+
+    await this.state.storage.put('limiter', { state: result.state, expiresAt: result.expiresAt });
+    await this.state.storage.setAlarm(result.expiresAt);
+
+    return new Response(JSON.stringify(toDecision(result)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Drop idle counters once they have expired
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
+
+// Shared by every request in the isolate so memory counters persist between requests
+const memoryStore = new MemoryRateLimitStore();
+
+// Store factories keyed by name (O(1) lookup); extend with registerRateLimitStore
+const RATE_LIMIT_STORES = new Map([
+  ['memory', () => memoryStore],
+  ['d1', (env) => {
+    if (!env.DB) {
+      throw new Error('The d1 rate limit store needs the DB binding');
+    }
+    return new D1RateLimitStore(new DatabaseService(env.DB));
+  }],
+  ['durable_object', (env) => {
+    if (!env.RATE_LIMITER) {
+      throw new Error('The durable_object rate limit store needs the RATE_LIMITER binding');
+    }
+    return new DurableObjectRateLimitStore(env.RATE_LIMITER);
+  }]
+]);
+
+// Register a custom store factory: (env) => ({ consume(key, policy) })
+export function registerRateLimitStore(name, factory) {
+  RATE_LIMIT_STORES.set(name, factory);
+}
+
+// Factory function for the configured store
+// Default: Durable Object when bound, else memory. D1 costs two queries per request, so it is opt-in
+export function createRateLimitStore(env = {}) {
+  const name = env.RATE_LIMIT_STORE || (env.RATE_LIMITER ? 'durable_object' : 'memory');
+  const factory = RATE_LIMIT_STORES.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+
+  return factory(env);
+}
+
+export { LRUCache, MemoryRateLimitStore, D1RateLimitStore, DurableObjectRateLimitStore };
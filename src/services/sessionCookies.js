@@ -0,0 +1,116 @@
+/**
+ * Session Cookie Service - Cookie transport for admin sessions
+ * In cookie mode the access and refresh tokens travel in HttpOnly cookies instead of the
+ * response body, and mutating requests prove they come from the admin app with a
+ * double-submit CSRF token (X-CSRF-Token header matching the readable CSRF cookie).
+ */
+
+import { timingSafeEqual } from './password.js';
+import { generateSecureRandom } from '../utils/validation.js';
+
+export const SESSION_COOKIE = 'ei_session';
+export const REFRESH_COOKIE = 'ei_refresh';
+export const CSRF_COOKIE = 'ei_csrf';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+// Lifetimes in seconds (match the access token and the refresh token rows)
+const ACCESS_COOKIE_MAX_AGE = 24 * 60 * 60;
+const REFRESH_COOKIE_MAX_AGE = 7 * 24 * 60 * 60;
+
+// The refresh cookie is only sent to the endpoints that exchange or revoke it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Methods that never change state and so need no CSRF token (O(1) lookup)
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const SAME_SITE_VALUES = new Map([
+  ['strict', 'Strict'],
+  ['lax', 'Lax'],
+  ['none', 'None']
+]);
+
+// Parse the Cookie header into a Map
+export function parseCookies(request) {
+  const cookies = new Map();
+  const header = request.headers.get('Cookie');
+
+  if (!header) {
+    return cookies;
+  }
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      if (!cookies.has(name)) {
+        // Other cookies on the site may not be valid percent-encoding; skip those
+        try {
+          cookies.set(name, decodeURIComponent(part.slice(index + 1).trim()));
+        } catch {
+          continue;
+        }
+      }
+    }
+  }
+
+  return cookies;
+}
+
+// SESSION_COOKIE_SAMESITE: Strict (default) when the admin app and API share a site,
+// None when they are on different sites (the CORS admin policy must then list the app)
+function getCookieAttributes(env = {}) {
+  const sameSite = SAME_SITE_VALUES.get((env.SESSION_COOKIE_SAMESITE || 'strict').toLowerCase()) || 'Strict';
+  const domain = env.SESSION_COOKIE_DOMAIN ? `; Domain=${env.SESSION_COOKIE_DOMAIN}` : '';
+  return `; Secure; SameSite=${sameSite}${domain}`;
+}
+
+function serializeCookie(name, value, { path, maxAge, httpOnly }, env) {
+  return `${name}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${maxAge}` +
+    (httpOnly ? '; HttpOnly' : '') + getCookieAttributes(env);
+}
+
+// Set-Cookie values for a session, plus the CSRF token the admin app must echo back
+export function createSessionCookies(tokens, env) {
+  const csrfToken = generateSecureRandom(64);
+
+  return {
+    csrfToken,
+    cookies: [
+      serializeCookie(SESSION_COOKIE, tokens.accessToken, { path: '/', maxAge: ACCESS_COOKIE_MAX_AGE, httpOnly: true }, env),
+      serializeCookie(REFRESH_COOKIE, tokens.refreshToken, { path: REFRESH_COOKIE_PATH, maxAge: REFRESH_COOKIE_MAX_AGE, httpOnly: true }, env),
+      serializeCookie(CSRF_COOKIE, csrfToken, { path: '/', maxAge: REFRESH_COOKIE_MAX_AGE, httpOnly: false }, env)
+    ]
+  };
+}
+
+// Set-Cookie values that remove every session cookie
+export function clearSessionCookies(env) {
+  return [
+    serializeCookie(SESSION_COOKIE, '', { path: '/', maxAge: 0, httpOnly: true }, env),
+    serializeCookie(REFRESH_COOKIE, '', { path: REFRESH_COOKIE_PATH, maxAge: 0, httpOnly: true }, env),
+    serializeCookie(CSRF_COOKIE, '', { path: '/', maxAge: 0, httpOnly: false }, env)
+  ];
+}
+
+// Add Set-Cookie headers to a response
+export function withCookies(response, cookies) {
+  cookies.forEach(cookie => response.headers.append('Set-Cookie', cookie));
+  return response;
+}
+
+// Double-submit check: safe methods pass; others need a header that matches the CSRF cookie
+export function isCsrfValid(request, cookies = parseCookies(request)) {
+  if (SAFE_METHODS.has(request.method)) {
+    return true;
+  }
+
+  const cookieToken = cookies.get(CSRF_COOKIE);
+  const headerToken = request.headers.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken) {
+    return false;
+  }
+
+  const encoder = new TextEncoder();
+  return timingSafeEqual(encoder.encode(headerToken), encoder.encode(cookieToken));
+}
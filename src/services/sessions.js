@@ -0,0 +1,170 @@
+/**
+ * Session Service - Multiple concurrent refresh-token sessions per user
+ * Each login starts a session (token family); every refresh rotates the token within
+ * the family, and presenting an already-rotated token revokes the whole family.
+ */
+
+import { getClientIP } from '../utils/validation.js';
+
+// Refresh token lifetime (sliding, renewed on every rotation)
+const REFRESH_TOKEN_TTL = '+7 days';
+
+// Columns that are safe to return to clients (never the token itself)
+const PUBLIC_SESSION_COLUMNS = 'family_id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+// Derive a short, human readable device label from a User-Agent string
+export function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 50);
+}
+
+class SessionService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  generateToken() {
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  getClientContext(request) {
+    return {
+      userAgent: request.headers.get('User-Agent') || null,
+      ipAddress: getClientIP(request)
+    };
+  }
+
+  async insertToken(userId, familyId, { userAgent, ipAddress }) {
+    const token = this.generateToken();
+
+    await this.db.executeQuery(
+      `INSERT INTO refresh_tokens (user_id, token, family_id, user_agent, ip_address, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, datetime('now', ?))`,
+      [userId, token, familyId, userAgent, ipAddress, REFRESH_TOKEN_TTL]
+    );
+
+    return token;
+  }
+
+  // Start a new session for a user (one per login/device)
+  async createSession(userId, request) {
+    const sessionId = crypto.randomUUID();
+    const token = await this.insertToken(userId, sessionId, this.getClientContext(request));
+    return { sessionId, token };
+  }
+
+  // Exchange a refresh token for a new one in the same session
+  // Returns { status: 'ok' | 'invalid' | 'reused', ... }
+  async rotate(token, request) {
+    const result = await this.db.executeQuery(
+      "SELECT *, expires_at > datetime('now') AS unexpired FROM refresh_tokens WHERE token = ?",
+      [token]
+    );
+    const row = result.results[0];
+
+    if (!row) {
+      return { status: 'invalid' };
+    }
+
+    // A token that was already rotated is being replayed: assume it was stolen
+    if (row.rotated_at) {
+      await this.revokeSession(row.user_id, row.family_id, 'reuse_detected');
+      return { status: 'reused', userId: row.user_id, sessionId: row.family_id };
+    }
+
+    if (!row.is_active || !row.unexpired) {
+      return { status: 'invalid' };
+    }
+
+    // Guard on is_active so two concurrent refreshes cannot both succeed
+    const rotated = await this.db.executeQuery(
+      'UPDATE refresh_tokens SET is_active = 0, rotated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1',
+      [row.id]
+    );
+    if (!rotated.meta?.changes) {
+      await this.revokeSession(row.user_id, row.family_id, 'reuse_detected');
+      return { status: 'reused', userId: row.user_id, sessionId: row.family_id };
+    }
+
+    const newToken = await this.insertToken(row.user_id, row.family_id, this.getClientContext(request));
+
+    return {
+      status: 'ok',
+      userId: row.user_id,
+      sessionId: row.family_id,
+      token: newToken
+    };
+  }
+
+  async listSessions(userId) {
+    const result = await this.db.executeQuery(
+      `SELECT ${PUBLIC_SESSION_COLUMNS},
+              (SELECT MIN(created_at) FROM refresh_tokens f WHERE f.family_id = r.family_id) AS started_at
+       FROM refresh_tokens r
+       WHERE user_id = ? AND is_active = 1 AND expires_at > datetime('now')
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+
+    return result.results.map(session => ({
+      id: session.family_id,
+      device: describeUserAgent(session.user_agent),
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.started_at || session.created_at,
+      last_used_at: session.last_used_at,
+      expires_at: session.expires_at
+    }));
+  }
+
+  // Revoke every token in a session; returns the number of active tokens revoked
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const result = await this.db.executeQuery(
+      `UPDATE refresh_tokens SET is_active = 0, revoked_reason = ?
+       WHERE user_id = ? AND family_id = ? AND is_active = 1`,
+      [reason, userId, sessionId]
+    );
+    return result.meta?.changes || 0;
+  }
+
+  async revokeByToken(token, reason = 'logout') {
+    const result = await this.db.executeQuery(
+      'SELECT user_id, family_id FROM refresh_tokens WHERE token = ?',
+      [token]
+    );
+    const row = result.results[0];
+
+    if (row) {
+      await this.revokeSession(row.user_id, row.family_id, reason);
+    }
+    return row || null;
+  }
+
+  async revokeAllSessions(userId, { exceptSessionId = null, reason = 'revoked' } = {}) {
+    const result = await this.db.executeQuery(
+      `UPDATE refresh_tokens SET is_active = 0, revoked_reason = ?
+       WHERE user_id = ? AND is_active = 1 AND (? IS NULL OR family_id != ?)`,
+      [reason, userId, exceptSessionId, exceptSessionId]
+    );
+    return result.meta?.changes || 0;
+  }
+}
+
+export { SessionService };
@@ -0,0 +1,136 @@
+/**
+ * Token Revocation Service - Reject access tokens before they expire
+ * Tokens carry a `jti`, a session `sid` and the user's `ver` (token_version). A token is
+ * revoked when its jti or sid is on the denylist, or when the user's token_version has moved on.
+ * Lookups are cached per isolate for a short time so D1 isn't queried on every request.
+ */
+
+// Access tokens live 24 hours, so denylist entries can be purged after that
+const ACCESS_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a lookup is trusted; other isolates see a revocation within this window
+const CACHE_TTL_MS = 30 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+// In-isolate cache: key -> { value, expiresAt } (Map keeps insertion order for eviction)
+const revocationCache = new Map();
+
+function getCached(key) {
+  const entry = revocationCache.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt < Date.now()) {
+    revocationCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function setCached(key, value) {
+  revocationCache.delete(key);
+  if (revocationCache.size >= CACHE_MAX_ENTRIES) {
+    revocationCache.delete(revocationCache.keys().next().value);
+  }
+  revocationCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+export function clearRevocationCache() {
+  revocationCache.clear();
+}
+
+// Convert a Date into SQLite's datetime() text format for comparisons
+function toSqliteDate(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+class TokenRevocationService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async addToDenylist(kind, tokenId, userId, reason, expiresAtSeconds) {
+    await this.db.executeQuery(
+      `INSERT INTO revoked_tokens (kind, token_id, user_id, reason, expires_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (kind, token_id) DO NOTHING`,
+      [kind, tokenId, userId, reason, toSqliteDate(new Date(expiresAtSeconds * 1000))]
+    );
+    setCached(`${kind}:${tokenId}`, true);
+
+    // Opportunistic cleanup keeps the table small
+    await this.db.executeQuery("DELETE FROM revoked_tokens WHERE expires_at < datetime('now')");
+  }
+
+  // Revoke a single access token (e.g. the one presented on logout)
+  async revokeToken(payload, reason = 'logout') {
+    if (!payload?.jti) return;
+    await this.addToDenylist('jti', payload.jti, payload.userId || null, reason, payload.exp);
+  }
+
+  // Revoke every access token issued for a session
+  async revokeSession(sessionId, userId, reason = 'revoked') {
+    if (!sessionId) return;
+    const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+    await this.addToDenylist('session', sessionId, userId, reason, expiresAt);
+  }
+
+  // Revoke every access token of a user (password change, deactivation, role change)
+  async bumpTokenVersion(userId) {
+    await this.db.executeQuery(
+      'UPDATE admin_users SET token_version = token_version + 1 WHERE id = ?',
+      [userId]
+    );
+    revocationCache.delete(`user:${userId}`);
+  }
+
+  async isDenylisted(kind, tokenId) {
+    const cacheKey = `${kind}:${tokenId}`;
+    const cached = getCached(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const result = await this.db.executeQuery(
+      'SELECT 1 FROM revoked_tokens WHERE kind = ? AND token_id = ?',
+      [kind, tokenId]
+    );
+    const denylisted = result.results.length > 0;
+    setCached(cacheKey, denylisted);
+    return denylisted;
+  }
+
+  // Current token_version of an active user (null when missing or deactivated)
+  async getTokenVersion(userId) {
+    const cacheKey = `user:${userId}`;
+    const cached = getCached(cacheKey);
+    if (cached !== undefined) return cached;
+
+    const result = await this.db.executeQuery(
+      'SELECT token_version FROM admin_users WHERE id = ? AND is_active = 1',
+      [userId]
+    );
+    const version = result.results[0] ? result.results[0].token_version || 0 : null;
+    setCached(cacheKey, version);
+    return version;
+  }
+
+  // Check a verified access token payload
+  async isRevoked(payload) {
+    if (payload.jti && await this.isDenylisted('jti', payload.jti)) {
+      return true;
+    }
+
+    if (payload.sid && await this.isDenylisted('session', payload.sid)) {
+      return true;
+    }
+
+    if (payload.userId) {
+      const version = await this.getTokenVersion(payload.userId);
+      if (version === null || (payload.ver || 0) !== version) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+export { TokenRevocationService };
@@ -0,0 +1,160 @@
+/**
+ * TOTP Service - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s)
+ * Compatible with Google Authenticator, 1Password, Authy and similar apps
+ */
+
+import { hashString } from '../utils/validation.js';
+
+const TOTP_CONFIG = {
+  digits: 6,
+  period: 30, // seconds
+  window: 1, // accept one step either side for clock drift
+  secretBytes: 20,
+  issuer: 'Eleven Interior'
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+// Generate a new random base32 secret
+export function generateTotpSecret() {
+  const bytes = new Uint8Array(TOTP_CONFIG.secretBytes);
+  crypto.getRandomValues(bytes);
+  return base32Encode(bytes);
+}
+
+// Build the otpauth:// URI that authenticator apps import (usually via QR code)
+export function buildOtpauthUri(secret, accountName, issuer = TOTP_CONFIG.issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONFIG.digits),
+    period: String(TOTP_CONFIG.period)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Generate the TOTP code for a given time step
+export async function generateTotp(secret, step) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  // 8-byte big-endian counter
+  const counter = new Uint8Array(8);
+  let remaining = step;
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = remaining & 255;
+    remaining = Math.floor(remaining / 256);
+  }
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_CONFIG.digits)).padStart(TOTP_CONFIG.digits, '0');
+}
+
+export function getTimeStep(timestampMs = Date.now()) {
+  return Math.floor(timestampMs / 1000 / TOTP_CONFIG.period);
+}
+
+// Verify a code; returns the matching time step (for replay protection) or null
+export async function verifyTotp(secret, code, { lastUsedStep = null, timestampMs = Date.now() } = {}) {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestampMs);
+
+  for (let offset = -TOTP_CONFIG.window; offset <= TOTP_CONFIG.window; offset++) {
+    const step = currentStep + offset;
+
+    // A code can only be used once
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    if (await generateTotp(secret, step) === String(code)) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Generate one-time recovery codes (formatted XXXXX-XXXXX)
+export function generateRecoveryCodes(count = 10) {
+  const codes = [];
+
+  for (let i = 0; i < count; i++) {
+    const bytes = new Uint8Array(10);
+    crypto.getRandomValues(bytes);
+    const raw = Array.from(bytes, byte => BASE32_ALPHABET[byte & 31]).join('');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return codes;
+}
+
+// Normalise and hash a recovery code for storage or lookup
+export async function hashRecoveryCode(code) {
+  return await hashString(String(code).toUpperCase().replace(/[^A-Z2-7]/g, ''));
+}
@@ -0,0 +1,108 @@
+/**
+ * Two-Factor Service - TOTP enrolment state and recovery codes for admin users
+ */
+
+import {
+  generateTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from './totp.js';
+
+class TwoFactorService {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Store a new pending secret (not enforced until confirmed with a valid code)
+  async startEnrolment(userId) {
+    const secret = generateTotpSecret();
+
+    await this.db.executeQuery(
+      'UPDATE admin_users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?',
+      [secret, userId]
+    );
+
+    return secret;
+  }
+
+  // Confirm enrolment with a code from the app and issue fresh recovery codes
+  async confirmEnrolment(user, code) {
+    const step = await verifyTotp(user.totp_secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    await this.db.executeQuery(
+      'UPDATE admin_users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?',
+      [step, user.id]
+    );
+
+    return await this.replaceRecoveryCodes(user.id);
+  }
+
+  async disable(userId) {
+    await this.db.executeQuery(
+      'UPDATE admin_users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?',
+      [userId]
+    );
+    await this.db.executeQuery('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  // Replace all recovery codes; plaintext codes are returned once and stored hashed
+  async replaceRecoveryCodes(userId) {
+    const codes = generateRecoveryCodes();
+
+    await this.db.executeQuery('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const code of codes) {
+      await this.db.executeQuery(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, await hashRecoveryCode(code)]
+      );
+    }
+
+    return codes;
+  }
+
+  async countRemainingRecoveryCodes(userId) {
+    const result = await this.db.executeQuery(
+      'SELECT COUNT(*) as count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return result.results[0]?.count || 0;
+  }
+
+  // Verify a TOTP code or a one-time recovery code for an enrolled user
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (!user.totp_enabled || !user.totp_secret) {
+      return false;
+    }
+
+    if (code) {
+      const step = await verifyTotp(user.totp_secret, code, { lastUsedStep: user.totp_last_step });
+      if (step === null) {
+        return false;
+      }
+
+      // Remember the step so the same code cannot be replayed
+      await this.db.executeQuery(
+        'UPDATE admin_users SET totp_last_step = ? WHERE id = ?',
+        [step, user.id]
+      );
+      return true;
+    }
+
+    if (recoveryCode) {
+      const result = await this.db.executeQuery(
+        'UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [user.id, await hashRecoveryCode(recoveryCode)]
+      );
+      return (result.meta?.changes || 0) > 0;
+    }
+
+    return false;
+  }
+}
+
+export { TwoFactorService };
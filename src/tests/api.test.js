@@ -3,7 +3,7 @@
  * Comprehensive testing with DSA validation
  */
 
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
 
 // Mock environment for testing
 const mockEnv = {
@@ -42,6 +42,19 @@ function createMockRequest(method, url, body = null, headers = {}) {
   };
 }
 
+// D1 binding over a plain-object stand-in ({ executeQuery(sql, params) }), for code that
+// builds its own DatabaseService from env.DB
+function createD1Binding(db) {
+  return {
+    prepare: sql => ({
+      bind: (...params) => ({
+        all: () => db.executeQuery(sql, params),
+        run: () => db.executeQuery(sql, params)
+      })
+    })
+  };
+}
+
 describe('API Core Functionality', () => {
   describe('Health Checks', () => {
     it('should return basic health status', async () => {
@@ -89,6 +102,31 @@ describe('API Core Functionality', () => {
       
       expect(response).toBeUndefined();
     });
+
+    it('should reflect only allowed origins', async () => {
+      const { getCorsHeaders } = await import('../middleware/cors.js');
+      const env = {
+        CORS_ALLOWED_ORIGINS: 'https://eleveninterior.com,https://*.eleveninterior.com',
+        CORS_ADMIN_ORIGINS: 'https://admin.eleveninterior.com'
+      };
+      const headersFor = (url, origin) => {
+        const request = createMockRequest('GET', url, null, { Origin: origin });
+        request.env = env;
+        return getCorsHeaders(request);
+      };
+
+      const publicHeaders = headersFor('/api/images/gallery', 'https://www.eleveninterior.com');
+      expect(publicHeaders['Access-Control-Allow-Origin']).toBe('https://www.eleveninterior.com');
+      expect(publicHeaders['Access-Control-Allow-Credentials']).toBeUndefined();
+      expect(publicHeaders['Vary']).toBe('Origin');
+
+      expect(headersFor('/api/images/gallery', 'https://eleveninterior.com.evil.com')['Access-Control-Allow-Origin']).toBeUndefined();
+
+      const adminHeaders = headersFor('/api/admin/inquiries', 'https://admin.eleveninterior.com');
+      expect(adminHeaders['Access-Control-Allow-Origin']).toBe('https://admin.eleveninterior.com');
+      expect(adminHeaders['Access-Control-Allow-Credentials']).toBe('true');
+      expect(headersFor('/api/admin/inquiries', 'https://www.eleveninterior.com')['Access-Control-Allow-Origin']).toBeUndefined();
+    });
   });
 
   describe('Rate Limiting', () => {
@@ -109,6 +147,175 @@ describe('API Core Functionality', () => {
       
       expect(response).toBeUndefined(); // Should pass through with higher limits
     });
+
+    it('should not let a burst at the window boundary double the limit', async () => {
+      const { applyRateLimit } = await import('../services/rateLimit.js');
+      const policy = { limit: 10, windowMs: 60000, algorithm: 'sliding-window' };
+      let state = null;
+
+      // Ten requests at the very end of one window...
+      for (let i = 0; i < 10; i++) {
+        state = applyRateLimit(state, policy, 119000).state;
+      }
+
+      // ...still count almost fully just after the next window starts
+      const justAfter = applyRateLimit(state, policy, 121000);
+      expect(justAfter.allowed).toBe(false);
+      expect(justAfter.retryAfterMs).toBeGreaterThan(0);
+
+      expect(applyRateLimit(state, policy, 127000).allowed).toBe(true);
+    });
+
+    it('should refill a token bucket gradually', async () => {
+      const { applyRateLimit } = await import('../services/rateLimit.js');
+      const policy = { limit: 10, windowMs: 60000, algorithm: 'token-bucket' };
+      let result = { state: null };
+
+      for (let i = 0; i < 10; i++) {
+        result = applyRateLimit(result.state, policy, 1000);
+        expect(result.allowed).toBe(true);
+      }
+
+      const empty = applyRateLimit(result.state, policy, 1000);
+      expect(empty.allowed).toBe(false);
+      expect(empty.retryAfterMs).toBe(6000);
+      expect(applyRateLimit(empty.state, policy, 7000).allowed).toBe(true);
+    });
+
+    it('should keep counts per key in the memory store', async () => {
+      const { MemoryRateLimitStore } = await import('../services/rateLimit.js');
+      const store = new MemoryRateLimitStore();
+      const policy = { limit: 2, windowMs: 60000 };
+
+      expect((await store.consume('ip:a', policy)).allowed).toBe(true);
+      expect((await store.consume('ip:a', policy)).allowed).toBe(true);
+      expect((await store.consume('ip:a', policy)).allowed).toBe(false);
+      expect((await store.consume('ip:b', policy)).allowed).toBe(true);
+    });
+
+    it('should keep limiting login when the store fails, and fail open elsewhere', async () => {
+      const { registerRateLimitStore } = await import('../services/rateLimit.js');
+      const { rateLimiter } = await import('../middleware/rateLimiter.js');
+      registerRateLimitStore('broken', () => ({ consume: async () => { throw new Error('D1 unavailable'); } }));
+      const request = (method, url) => ({
+        ...createMockRequest(method, url, null, { 'CF-Connecting-IP': '203.0.113.9' }),
+        env: { RATE_LIMIT_STORE: 'broken' }
+      });
+
+      const responses = [];
+      for (let i = 0; i < 11; i++) {
+        responses.push(await rateLimiter(request('POST', '/api/auth/login')));
+      }
+
+      expect(responses.slice(0, 10).every(response => response === undefined)).toBe(true);
+      expect(responses[10].status).toBe(429);
+      expect(await rateLimiter(request('GET', '/api/images/gallery'))).toBeUndefined();
+    });
+
+    it('should only use D1 when asked, and treat a contended counter as unavailable', async () => {
+      const { createRateLimitStore, D1RateLimitStore, MemoryRateLimitStore } = await import('../services/rateLimit.js');
+
+      expect(createRateLimitStore({ DB: {} })).toBeInstanceOf(MemoryRateLimitStore);
+      expect(createRateLimitStore({ DB: {}, RATE_LIMIT_STORE: 'd1' })).toBeInstanceOf(D1RateLimitStore);
+
+      // Another isolate wins every versioned update
+      const db = {
+        async executeQuery(sql) {
+          if (sql.startsWith('SELECT')) {
+            return { results: [{ state: 'null', version: 1, expires_at: Date.now() + 60000 }] };
+          }
+          return { results: [], meta: { changes: 0 } };
+        }
+      };
+      const store = new D1RateLimitStore(db, { cleanupProbability: 0 });
+
+      await expect(store.consume('login:ip:a', { limit: 10, windowMs: 60000 })).rejects.toThrow('contended');
+    });
+
+    it('should pick the first matching route policy', async () => {
+      const { getRateLimitPolicy } = await import('../middleware/rateLimiter.js');
+
+      expect(getRateLimitPolicy('POST', '/api/inquiries').name).toBe('inquiries');
+      expect(getRateLimitPolicy('GET', '/api/inquiries').name).toBe('default');
+      expect(getRateLimitPolicy('GET', '/api/images/gallery').name).toBe('media');
+      expect(getRateLimitPolicy('POST', '/api/auth/2fa/verify').name).toBe('login');
+      expect(getRateLimitPolicy('DELETE', '/api/admin/users/3').name).toBe('admin');
+    });
+
+    it('should key IP limits on the first X-Forwarded-For hop', async () => {
+      const { rateLimiter } = await import('../middleware/rateLimiter.js');
+      const request = hops => {
+        const headers = new Headers({ 'X-Forwarded-For': hops });
+        return { method: 'POST', url: 'https://api.test.com/api/auth/setup', headers, env: { RATE_LIMIT_STORE: 'memory' } };
+      };
+
+      // Rotating the appended proxy hops must not open a fresh bucket
+      const responses = [];
+      for (let i = 0; i < 6; i++) {
+        responses.push(await rateLimiter(request(`198.51.100.7, 10.0.0.${i}`)));
+      }
+
+      expect(responses.slice(0, 5).every(response => response === undefined)).toBe(true);
+      expect(responses[5].status).toBe(429);
+    });
+
+    it('should report RateLimit headers and honour the allowlist', async () => {
+      const { getRateLimitHeaders, parseAllowlist } = await import('../middleware/rateLimiter.js');
+      const headers = getRateLimitHeaders({ limit: 5, remaining: 2, resetMs: 1500, windowMs: 3600000 });
+
+      expect(headers['RateLimit-Limit']).toBe('5');
+      expect(headers['RateLimit-Remaining']).toBe('2');
+      expect(headers['RateLimit-Reset']).toBe('2');
+      expect(headers['RateLimit-Policy']).toBe('5;w=3600');
+
+      const allowlist = parseAllowlist('10.0.0.0/8, 203.0.113.7, key:env');
+      expect(allowlist.ips.has('203.0.113.7')).toBe(true);
+      expect(allowlist.keys.has('env')).toBe(true);
+      expect(allowlist.ranges).toHaveLength(1);
+    });
+  });
+
+  describe('Security Headers', () => {
+    it('should apply the standard profile without a CSP for JSON', async () => {
+      const { setSecurityHeaders } = await import('../middleware/securityHeaders.js');
+      const request = createMockRequest('GET', '/api/images/gallery');
+      const headers = setSecurityHeaders(new Headers({ 'Content-Type': 'application/json' }), request);
+
+      expect(headers.get('Strict-Transport-Security')).toBe('max-age=31536000; includeSubDomains');
+      expect(headers.get('X-Content-Type-Options')).toBe('nosniff');
+      expect(headers.get('Referrer-Policy')).toBe('strict-origin-when-cross-origin');
+      expect(headers.get('Permissions-Policy')).toContain('camera=()');
+      expect(headers.has('Content-Security-Policy')).toBe(false);
+      expect(headers.has('Cache-Control')).toBe(false);
+    });
+
+    it('should add a strict CSP for HTML and keep headers set by the route', async () => {
+      const { setSecurityHeaders } = await import('../middleware/securityHeaders.js');
+      const request = createMockRequest('GET', '/docs');
+      const headers = setSecurityHeaders(new Headers({
+        'Content-Type': 'text/html; charset=utf-8',
+        'X-Frame-Options': 'SAMEORIGIN'
+      }), request);
+
+      expect(headers.get('Content-Security-Policy')).toContain("default-src 'none'");
+      expect(headers.get('Content-Security-Policy')).toContain("frame-ancestors 'none'");
+      expect(headers.get('X-Frame-Options')).toBe('SAMEORIGIN');
+    });
+
+    it('should apply route overrides and profiles from config', async () => {
+      const { getSecurityHeaders } = await import('../middleware/securityHeaders.js');
+      const callback = createMockRequest('GET', '/api/auth/oidc/callback?code=abc');
+
+      const callbackHeaders = getSecurityHeaders(callback, 'application/json');
+      expect(callbackHeaders['Referrer-Policy']).toBe('no-referrer');
+      expect(callbackHeaders['Cache-Control']).toBe('no-store');
+
+      callback.env = { ...mockEnv, SECURITY_HEADERS_PROFILE: 'strict' };
+      expect(getSecurityHeaders(callback, 'application/json')['Strict-Transport-Security']).toContain('preload');
+
+      callback.env = { ...mockEnv, SECURITY_HEADERS_PROFILE: 'off' };
+      expect(getSecurityHeaders(callback, 'application/json')).toEqual({});
+    });
   });
 
   describe('Error Handling', () => {
@@ -292,6 +499,626 @@ describe('Security Tests', () => {
     });
   });
 
+  describe('Role-Based Access Control', () => {
+    it('should map admin routes to permissions', async () => {
+      const { getRequiredPermission } = await import('../middleware/auth.js');
+
+      expect(getRequiredPermission('GET', '/api/admin/inquiries')).toBe('inquiries:read');
+      expect(getRequiredPermission('PUT', '/api/v1/admin/inquiries/5')).toBe('inquiries:write');
+      expect(getRequiredPermission('DELETE', '/api/admin/images/gallery/3')).toBe('media:delete');
+      expect(getRequiredPermission('POST', '/api/admin/regenerate-api-key')).toBe('keys:manage');
+      expect(getRequiredPermission('GET', '/api/admin/profile')).toBeNull();
+    });
+
+    it('should let sales work on inquiries but not media or keys', async () => {
+      const { hasPermission } = await import('../middleware/auth.js');
+
+      expect(hasPermission('sales', 'inquiries:write')).toBe(true);
+      expect(hasPermission('sales', 'media:delete')).toBe(false);
+      expect(hasPermission('sales', 'keys:manage')).toBe(false);
+      expect(hasPermission('owner', 'keys:manage')).toBe(true);
+      expect(hasPermission('unknown', 'media:read')).toBe(false);
+    });
+  });
+
+  describe('Password Hashing', () => {
+    it('should produce salted, self-describing PBKDF2 hashes', async () => {
+      const { hashPassword, verifyPassword } = await import('../services/password.js');
+
+      const first = await hashPassword('correct horse battery');
+      const second = await hashPassword('correct horse battery');
+
+      expect(first).toMatch(/^pbkdf2\$sha256\$100000\$/);
+      expect(first).not.toBe(second);
+      expect(await verifyPassword('correct horse battery', first)).toEqual({ valid: true, needsRehash: false });
+      expect((await verifyPassword('wrong password', first)).valid).toBe(false);
+    });
+
+    it('should accept legacy SHA-256 hashes and flag them for rehash', async () => {
+      const { verifyPassword } = await import('../services/password.js');
+      const { hashString } = await import('../utils/validation.js');
+
+      const legacyHash = await hashString('legacyPassword1');
+
+      expect(await verifyPassword('legacyPassword1', legacyHash)).toEqual({ valid: true, needsRehash: true });
+      expect((await verifyPassword('otherPassword1', legacyHash)).valid).toBe(false);
+    });
+
+    it('should keep the unknown-account dummy hash in the current format', async () => {
+      const { hashPassword, verifyPassword, DUMMY_PASSWORD_HASH } = await import('../services/password.js');
+      const prefix = hash => hash.split('$').slice(0, 3).join('$');
+      const keyLength = hash => atob(hash.split('$')[4]).length;
+      const current = await hashPassword('correct horse battery');
+
+      // Same iterations and key size as real hashes, so checking against it costs a full PBKDF2 run
+      expect(prefix(DUMMY_PASSWORD_HASH)).toBe(prefix(current));
+      expect(keyLength(DUMMY_PASSWORD_HASH)).toBe(keyLength(current));
+      expect(await verifyPassword('correct horse battery', DUMMY_PASSWORD_HASH)).toEqual({ valid: false, needsRehash: false });
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    it('should match the RFC 6238 SHA-1 test vector', async () => {
+      const { generateTotp, base32Encode } = await import('../services/totp.js');
+      const secret = base32Encode(new TextEncoder().encode('12345678901234567890'));
+
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(await generateTotp(secret, 1)).toBe('287082'); // T = 59s
+    });
+
+    it('should reject codes from already-used time steps', async () => {
+      const { generateTotpSecret, generateTotp, verifyTotp, getTimeStep } = await import('../services/totp.js');
+      const secret = generateTotpSecret();
+      const step = getTimeStep();
+      const code = await generateTotp(secret, step);
+
+      expect(await verifyTotp(secret, code)).toBe(step);
+      expect(await verifyTotp(secret, code, { lastUsedStep: step })).toBeNull();
+    });
+  });
+
+  describe('Password Reset', () => {
+    // Stand-in for admin_users, password_reset_tokens and refresh_tokens
+    function createPasswordResetDb() {
+      const state = {
+        users: [{ id: 1, email: 'Owner@Example.com', password_hash: 'old-hash', is_active: 1, token_version: 0 }],
+        resetTokens: [],
+        refreshTokens: [{ user_id: 1, token: 'refresh-1' }, { user_id: 1, token: 'refresh-2' }]
+      };
+      const isLive = token => !token.used_at && token.expires_at > Date.now();
+
+      state.executeQuery = async (sql, params = []) => {
+        const user = state.users.find(candidate => candidate.id === params[params.length - 1]);
+
+        if (sql.startsWith('SELECT * FROM admin_users WHERE LOWER(email) = ?')) {
+          return { results: state.users.filter(candidate => candidate.email.toLowerCase() === params[0] && candidate.is_active) };
+        }
+        if (sql.startsWith('SELECT * FROM admin_users WHERE id = ?')) {
+          return { results: state.users.filter(candidate => candidate.id === params[0] && candidate.is_active) };
+        }
+        if (sql.startsWith('INSERT INTO password_reset_tokens')) {
+          const minutes = parseInt(params[2].slice(1));
+          state.resetTokens.push({ id: state.resetTokens.length + 1, user_id: params[0], token_hash: params[1], expires_at: Date.now() + minutes * 60000, used_at: null });
+          return { results: [], meta: { changes: 1 } };
+        }
+        if (sql.startsWith('SELECT * FROM password_reset_tokens')) {
+          return { results: state.resetTokens.filter(token => token.token_hash === params[0] && isLive(token)) };
+        }
+        if (sql.startsWith('UPDATE password_reset_tokens SET used_at')) {
+          const column = sql.includes('WHERE user_id') ? 'user_id' : 'id';
+          const matched = state.resetTokens.filter(token => token[column] === params[0] && !token.used_at);
+          matched.forEach(token => { token.used_at = Date.now(); });
+          return { results: [], meta: { changes: matched.length } };
+        }
+        if (sql.startsWith('UPDATE admin_users SET password_hash')) user.password_hash = params[0];
+        if (sql.startsWith('UPDATE admin_users SET token_version')) user.token_version++;
+        if (sql.startsWith('DELETE FROM refresh_tokens')) {
+          state.refreshTokens = state.refreshTokens.filter(token => token.user_id !== params[0]);
+        }
+        return { results: [], meta: { changes: 1 } };
+      };
+      return state;
+    }
+
+    async function requestReset(state, email) {
+      const { default: authRoutes } = await import('../routes/auth.js');
+      const { memoryOutbox } = await import('../services/mail.js');
+      memoryOutbox.length = 0;
+
+      const request = createMockRequest('POST', '/api/auth/forgot-password', { email });
+      request.env = { ...mockEnv, DB: createD1Binding(state), MAIL_TRANSPORT: 'memory', ADMIN_APP_URL: 'https://admin.example.com' };
+      const response = await authRoutes.forgotPassword(request);
+
+      return { response, outbox: [...memoryOutbox] };
+    }
+
+    async function resetWith(state, token, newPassword = 'new-password-1') {
+      const { default: authRoutes } = await import('../routes/auth.js');
+      const request = createMockRequest('POST', '/api/auth/reset-password', { token, newPassword, confirmPassword: newPassword });
+      request.env = { ...mockEnv, DB: createD1Binding(state) };
+      return authRoutes.resetPassword(request);
+    }
+
+    it('should email a reset link that works once and revokes existing sessions', async () => {
+      const { verifyPassword } = await import('../services/password.js');
+      const state = createPasswordResetDb();
+
+      // Mixed-case stored email still matches
+      const { response, outbox } = await requestReset(state, 'owner@EXAMPLE.com');
+      expect(response.status).toBe(200);
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe('Owner@Example.com');
+
+      const link = outbox[0].text.match(/https:\/\/admin\.example\.com\/reset-password\?token=(\S+)/);
+      expect(link).not.toBeNull();
+      const token = decodeURIComponent(link[1]);
+      expect(state.resetTokens[0].token_hash).not.toBe(token);
+
+      expect((await resetWith(state, token)).status).toBe(200);
+      expect((await verifyPassword('new-password-1', state.users[0].password_hash)).valid).toBe(true);
+      expect(state.refreshTokens).toHaveLength(0);
+      expect(state.users[0].token_version).toBe(1);
+
+      const reused = await resetWith(state, token, 'another-password');
+      expect(reused.status).toBe(400);
+      expect((await reused.json()).error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    it('should reject expired reset tokens', async () => {
+      const state = createPasswordResetDb();
+      const { outbox } = await requestReset(state, 'owner@example.com');
+      const token = decodeURIComponent(outbox[0].text.match(/token=(\S+)/)[1]);
+
+      state.resetTokens[0].expires_at = Date.now() - 1000;
+      const response = await resetWith(state, token);
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.code).toBe('INVALID_RESET_TOKEN');
+      expect(state.users[0].password_hash).toBe('old-hash');
+      expect(state.refreshTokens).toHaveLength(2);
+    });
+
+    it('should not reveal or email anything for unknown addresses', async () => {
+      const state = createPasswordResetDb();
+      const known = await requestReset(state, 'owner@example.com');
+      const unknown = await requestReset(state, 'nobody@example.com');
+
+      expect(unknown.response.status).toBe(200);
+      expect((await unknown.response.json()).data).toEqual((await known.response.json()).data);
+      expect(unknown.outbox).toHaveLength(0);
+    });
+  });
+
+  describe('Sessions', () => {
+    it('should describe devices from the User-Agent', async () => {
+      const { describeUserAgent } = await import('../services/sessions.js');
+
+      expect(describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36')).toBe('Chrome on Windows');
+      expect(describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Safari/605.1')).toBe('Safari on iOS');
+      expect(describeUserAgent(null)).toBe('Unknown device');
+    });
+  });
+
+  describe('Login Throttling', () => {
+    it('should back off exponentially and lock out at the limit', async () => {
+      const { getBackoffSeconds } = await import('../services/loginThrottle.js');
+      const policy = { freeAttempts: 3, maxAttempts: 10 };
+
+      expect(getBackoffSeconds(3, policy)).toBe(0);
+      expect(getBackoffSeconds(4, policy)).toBe(1);
+      expect(getBackoffSeconds(6, policy)).toBe(4);
+      expect(getBackoffSeconds(10, policy, 15)).toBe(900);
+    });
+
+    it('should key account counters by normalised email', async () => {
+      const { getThrottleKeys } = await import('../services/loginThrottle.js');
+
+      expect(getThrottleKeys(' Ghost@Example.com ', '203.0.113.7')).toEqual([
+        { scope: 'account', identifier: 'ghost@example.com' },
+        { scope: 'ip', identifier: '203.0.113.7' }
+      ]);
+    });
+  });
+
+  describe('Audit Log', () => {
+    it('should diff only changed fields and redact secrets', async () => {
+      const { diffRecords } = await import('../services/audit.js');
+
+      expect(diffRecords(
+        { id: 1, is_active: 1, title: 'Hero', updated_at: 'a' },
+        { id: 1, is_active: 0, title: 'Hero', updated_at: 'b' }
+      )).toEqual({ is_active: { from: 1, to: 0 } });
+
+      expect(diffRecords({ password_hash: 'old' }, { password_hash: 'new' }))
+        .toEqual({ password_hash: { from: '[redacted]', to: '[redacted]' } });
+    });
+
+    it('should identify JWT users and API keys as actors', async () => {
+      const { getActor } = await import('../services/audit.js');
+
+      expect(getActor({ userId: 3, email: 'a@example.com', type: 'access' })).toEqual({ type: 'user', id: '3', email: 'a@example.com' });
+      expect(getActor({ userId: null, type: 'api_key', apiKeyId: 'env' })).toEqual({ type: 'api_key', id: 'env', email: null });
+      expect(getActor(null).type).toBe('anonymous');
+    });
+  });
+
+  describe('JWT Keyring', () => {
+    it('should sign with the active kid and verify during a rotation window', async () => {
+      const { createKeyring, generateKeyDefinition, generateJWT, decodeJWT } = await import('../services/jwt.js');
+      const esKey = await generateKeyDefinition('ES256', 'es-2024');
+      const keyring = await createKeyring({ JWT_KEYS: JSON.stringify([esKey]), JWT_SECRET: 'old-secret' });
+
+      const token = await keyring.sign({ userId: 1, type: 'access' });
+      expect(decodeJWT(token).header).toMatchObject({ alg: 'ES256', kid: 'es-2024' });
+      expect((await keyring.verify(token)).userId).toBe(1);
+
+      // Tokens signed with the legacy secret stay valid until it is removed
+      const legacyToken = await generateJWT({ userId: 2, type: 'access' }, 'old-secret');
+      expect((await keyring.verify(legacyToken)).userId).toBe(2);
+    });
+
+    it('should publish only public keys and reject algorithm mismatches', async () => {
+      const { createKeyring, generateKeyDefinition } = await import('../services/jwt.js');
+      const esKey = await generateKeyDefinition('ES256', 'es-2024');
+      const keyring = await createKeyring({ JWT_KEYS: [esKey, { kid: 'hs', alg: 'HS256', secret: 's' }] });
+
+      const { keys } = keyring.getJwks();
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).toMatchObject({ kid: 'es-2024', alg: 'ES256', use: 'sig' });
+      expect(keys[0].d).toBeUndefined();
+
+      const token = await keyring.sign({ userId: 1 });
+      const [, payload, signature] = token.split('.');
+      const header = btoa(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'es-2024' })).replace(/=/g, '');
+      expect(await keyring.verify(`${header}.${payload}.${signature}`)).toBeNull();
+    });
+  });
+
+  describe('Access Token Revocation', () => {
+    // Minimal stand-in for DatabaseService backed by plain objects
+    function createRevocationDb(users) {
+      const denylist = new Set();
+      const db = {
+        queries: 0,
+        async executeQuery(sql, params) {
+          db.queries++;
+          if (sql.startsWith('INSERT INTO revoked_tokens')) denylist.add(`${params[0]}:${params[1]}`);
+          if (sql.startsWith('SELECT 1 FROM revoked_tokens')) {
+            return { results: denylist.has(`${params[0]}:${params[1]}`) ? [{ 1: 1 }] : [] };
+          }
+          if (sql.startsWith('SELECT token_version')) {
+            return { results: users.has(params[0]) ? [{ token_version: users.get(params[0]) }] : [] };
+          }
+          if (sql.startsWith('UPDATE admin_users')) users.set(params[0], users.get(params[0]) + 1);
+          return { results: [], meta: { changes: 1 } };
+        }
+      };
+      return db;
+    }
+
+    it('should reject tokens after logout or a token_version bump', async () => {
+      const { TokenRevocationService, clearRevocationCache } = await import('../services/tokenRevocation.js');
+      clearRevocationCache();
+      const revocation = new TokenRevocationService(createRevocationDb(new Map([[1, 0], [2, 0]])));
+      const exp = Math.floor(Date.now() / 1000) + 60;
+
+      const loggedOut = { userId: 1, jti: 'jti-1', sid: 'sid-1', ver: 0, exp };
+      expect(await revocation.isRevoked(loggedOut)).toBe(false);
+      await revocation.revokeToken(loggedOut);
+      expect(await revocation.isRevoked(loggedOut)).toBe(true);
+
+      const otherUser = { userId: 2, jti: 'jti-2', sid: 'sid-2', ver: 0, exp };
+      await revocation.bumpTokenVersion(2);
+      expect(await revocation.isRevoked(otherUser)).toBe(true);
+      expect(await revocation.isRevoked({ ...otherUser, ver: 1 })).toBe(false);
+    });
+
+    it('should cache lookups within the isolate', async () => {
+      const { TokenRevocationService, clearRevocationCache } = await import('../services/tokenRevocation.js');
+      clearRevocationCache();
+      const db = createRevocationDb(new Map([[1, 0]]));
+      const revocation = new TokenRevocationService(db);
+      const payload = { userId: 1, jti: 'jti-3', sid: 'sid-3', ver: 0 };
+
+      await revocation.isRevoked(payload);
+      const queriesAfterFirstCheck = db.queries;
+      await revocation.isRevoked(payload);
+
+      expect(db.queries).toBe(queriesAfterFirstCheck);
+    });
+  });
+
+  describe('API Keys', () => {
+    // Stand-in for the api_keys table; `users` maps owner id -> is_active
+    function createApiKeyDb(users) {
+      const keys = [];
+      const now = () => new Date().toISOString().replace('T', ' ').slice(0, 19);
+      const publicRow = ({ key_hash, ...row }) => row;
+      const db = {
+        keys,
+        queries: 0,
+        async executeQuery(sql, params = []) {
+          db.queries++;
+          if (sql.startsWith('INSERT INTO api_keys')) {
+            const [name, key_prefix, key_hash, owner_id, scopes, expires_at] = params;
+            keys.push({ id: keys.length + 1, name, key_prefix, key_hash, owner_id, scopes, expires_at, revoked_at: null });
+            return { results: [], meta: { last_row_id: keys.length } };
+          }
+          if (sql.includes('WHERE key_hash = ?')) {
+            return {
+              results: keys.filter(key => key.key_hash === params[0] && !key.revoked_at &&
+                (!key.expires_at || key.expires_at > now()) &&
+                (key.owner_id === null || users.get(key.owner_id))).map(publicRow)
+            };
+          }
+          if (sql.includes('FROM api_keys WHERE id = ?')) {
+            return { results: keys.filter(key => key.id === params[0]).map(publicRow) };
+          }
+          if (sql.includes('FROM api_keys WHERE revoked_at IS NULL')) {
+            return { results: keys.filter(key => !key.revoked_at).map(publicRow) };
+          }
+          if (sql.startsWith('UPDATE api_keys SET revoked_at')) {
+            const column = sql.includes('owner_id = ?') ? 'owner_id' : 'id';
+            const matched = keys.filter(key => key[column] === params[0] && !key.revoked_at);
+            matched.forEach(key => { key.revoked_at = now(); });
+            return { results: [], meta: { changes: matched.length } };
+          }
+          if (sql.startsWith('SELECT * FROM admin_users WHERE id = ?')) {
+            return { results: users.get(params[0]) ? [{ id: params[0], email: 'admin@example.com', role: 'admin', is_active: 1 }] : [] };
+          }
+          return { results: [], meta: { changes: 0 } };
+        }
+      };
+      return db;
+    }
+
+    it('should only resolve eik_ keys that are neither revoked nor expired', async () => {
+      const { ApiKeyService } = await import('../services/apiKeys.js');
+      const db = createApiKeyDb(new Map([[7, true]]));
+      const apiKeys = new ApiKeyService(db);
+
+      const valid = await apiKeys.createKey({ name: 'site', ownerId: 7, scopes: ['media:read', 'inquiries:read'] });
+      const revoked = await apiKeys.createKey({ name: 'old', ownerId: 7, scopes: ['media:read'] });
+      const expired = await apiKeys.createKey({ name: 'temp', ownerId: 7, scopes: ['media:read'], expiresInDays: 1 });
+      await apiKeys.revokeKey(revoked.record.id);
+      db.keys.find(key => key.id === expired.record.id).expires_at = '2000-01-01 00:00:00';
+
+      expect(valid.key).toMatch(/^eik_[0-9a-f]{48}$/);
+      expect(db.keys[0].key_hash).not.toContain(valid.key);
+
+      const found = await apiKeys.findActiveKey(valid.key);
+      expect(found).toMatchObject({ id: valid.record.id, scopes: ['media:read', 'inquiries:read'] });
+
+      expect(await apiKeys.findActiveKey(revoked.key)).toBeNull();
+      expect(await apiKeys.findActiveKey(expired.key)).toBeNull();
+
+      // Anything without the prefix is rejected before touching the database
+      const queries = db.queries;
+      expect(await apiKeys.findActiveKey(valid.key.replace('eik_', 'xyz_'))).toBeNull();
+      expect(await apiKeys.findActiveKey('test-admin-api-key')).toBeNull();
+      expect(db.queries).toBe(queries);
+    });
+
+    it('should enforce each key\'s scopes in authMiddleware', async () => {
+      const { ApiKeyService } = await import('../services/apiKeys.js');
+      const { authMiddleware } = await import('../middleware/auth.js');
+      const db = createApiKeyDb(new Map([[7, true]]));
+      const { key } = await new ApiKeyService(db).createKey({ name: 'crm', ownerId: 7, scopes: ['inquiries:read'] });
+      const env = { ...mockEnv, DB: createD1Binding(db) };
+
+      const send = async (method, url, apiKey = key) => {
+        const request = createMockRequest(method, url, null, { 'X-API-Key': apiKey });
+        request.env = env;
+        return { request, response: await authMiddleware(request) };
+      };
+
+      const allowed = await send('GET', '/api/admin/inquiries');
+      expect(allowed.response).toBeUndefined();
+      expect(allowed.request.user).toMatchObject({ type: 'api_key', ownerId: 7, scopes: ['inquiries:read'] });
+
+      for (const [method, url] of [['DELETE', '/api/admin/inquiries/1'], ['PUT', '/api/admin/inquiries/1'], ['GET', '/api/admin/users']]) {
+        const { response } = await send(method, url);
+        expect(response.status).toBe(403);
+        expect((await response.json()).code).toBe('FORBIDDEN');
+      }
+
+      expect((await send('GET', '/api/admin/inquiries', 'eik_unknown')).response.status).toBe(401);
+    });
+
+    it('should never return the ADMIN_API_KEY secret', async () => {
+      const { ApiKeyService } = await import('../services/apiKeys.js');
+      const { default: authRoutes } = await import('../routes/auth.js');
+      const db = createApiKeyDb(new Map([[7, true]]));
+      await new ApiKeyService(db).createKey({ name: 'mine', ownerId: 7, scopes: ['media:read'] });
+
+      const request = createMockRequest('GET', '/api/admin/api-key');
+      request.env = { ...mockEnv, DB: createD1Binding(db) };
+      request.user = { userId: 7, role: 'admin' };
+
+      const response = await authRoutes.getAdminApiKey(request);
+      const text = await response.text();
+
+      expect(response.status).toBe(200);
+      expect(text).not.toContain(mockEnv.ADMIN_API_KEY);
+      expect(JSON.parse(text).data).toMatchObject({ legacyKeyConfigured: true, keys: [{ name: 'mine', owner_id: 7 }] });
+    });
+
+    it('should stop resolving a key once its owner is deactivated', async () => {
+      const { ApiKeyService } = await import('../services/apiKeys.js');
+      const users = new Map([[7, true]]);
+      const apiKeys = new ApiKeyService(createApiKeyDb(users));
+      const { key } = await apiKeys.createKey({ name: 'ci', ownerId: 7, scopes: ['inquiries:read'] });
+
+      expect((await apiKeys.findActiveKey(key))?.owner_id).toBe(7);
+
+      users.set(7, false);
+      expect(await apiKeys.findActiveKey(key)).toBeNull();
+
+      // Deactivation also revokes the key, so reactivating the owner does not bring it back
+      expect(await apiKeys.revokeKeysForOwner(7)).toBe(1);
+      users.set(7, true);
+      expect(await apiKeys.findActiveKey(key)).toBeNull();
+    });
+  });
+
+  describe('Admin Setup', () => {
+    it('should be disabled without a SETUP_TOKEN secret', async () => {
+      const { default: authRoutes } = await import('../routes/auth.js');
+      const request = new Request('http://localhost/api/auth/setup', {
+        method: 'POST',
+        body: JSON.stringify({ email: 'owner@example.com', password: 'password123', setupToken: 'guess' })
+      });
+      request.env = {};
+
+      const response = await authRoutes.createAdminUser(request);
+      const body = await response.json();
+
+      expect(response.status).toBe(403);
+      expect(body.error.code).toBe('SETUP_DISABLED');
+      expect(body.data?.adminApiKey).toBeUndefined();
+    });
+
+    it('should store the owner email lowercased', async () => {
+      const { default: authRoutes } = await import('../routes/auth.js');
+      const inserted = [];
+      const db = {
+        async executeQuery(sql, params) {
+          if (sql.includes('AS completed')) return { results: [{ completed: 0 }] };
+          if (sql.startsWith('INSERT INTO admin_users')) {
+            inserted.push(params);
+            return { results: [], meta: { changes: 1, last_row_id: 1 } };
+          }
+          return { results: [], meta: { changes: 1 } };
+        }
+      };
+
+      const request = createMockRequest('POST', '/api/auth/setup', { email: 'Owner@Example.COM', password: 'password123', setupToken: 'setup-secret' });
+      request.env = { ...mockEnv, DB: createD1Binding(db), SETUP_TOKEN: 'setup-secret' };
+      const response = await authRoutes.createAdminUser(request);
+
+      expect(response.status).toBe(201);
+      expect(inserted[0][0]).toBe('owner@example.com');
+    });
+  });
+
+  describe('Single Sign-On', () => {
+    it('should derive the PKCE S256 challenge', async () => {
+      const { createCodeChallenge } = await import('../services/oidc.js');
+      // Example from RFC 7636 Appendix B
+      const challenge = await createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk');
+
+      expect(challenge).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('should map verified emails and domains to roles', async () => {
+      const { getOidcConfig, resolveMappedRole } = await import('../services/oidc.js');
+      const env = {
+        OIDC_CLIENT_ID: 'client',
+        OIDC_REDIRECT_URI: 'https://api.example.com/api/auth/oidc/callback',
+        OIDC_ROLE_MAPPINGS: JSON.stringify({ 'Boss@Example.com': 'admin', 'example.com': 'viewer' })
+      };
+
+      const google = getOidcConfig(env);
+      expect(resolveMappedRole({ email: 'boss@example.com' }, google)).toBe('admin');
+      expect(resolveMappedRole({ email: 'staff@example.com', hd: 'example.com' }, google)).toBe('viewer');
+      // Google accounts outside the Workspace have no hd claim
+      expect(resolveMappedRole({ email: 'staff@example.com' }, google)).toBeNull();
+
+      const mock = getOidcConfig({ ...env, OIDC_ISSUER: 'http://localhost:9000' });
+      expect(resolveMappedRole({ email: 'staff@example.com' }, mock)).toBe('viewer');
+      expect(resolveMappedRole({ email: 'someone@other.com' }, mock)).toBeNull();
+
+      expect(() => getOidcConfig({ ...env, OIDC_ROLE_MAPPINGS: '{"example.com":"superuser"}' })).toThrow();
+      expect(getOidcConfig({})).toBeNull();
+    });
+
+    it('should send 2FA-enrolled users to the local challenge instead of issuing tokens', async () => {
+      const { OidcService } = await import('../services/oidc.js');
+      const { default: oidcRoutes } = await import('../routes/oidc.js');
+      const { verifyToken } = await import('../services/jwt.js');
+      const user = { id: 3, email: 'staff@example.com', role: 'sales', totp_enabled: 1 };
+      const completeAuthorization = vi.spyOn(OidcService.prototype, 'completeAuthorization').mockResolvedValue({ email: user.email });
+      const resolveUser = vi.spyOn(OidcService.prototype, 'resolveUser').mockResolvedValue({ user, provisioned: false });
+
+      try {
+        const request = new Request('http://localhost/api/auth/oidc/callback?code=abc&state=xyz');
+        request.env = {
+          ...mockEnv,
+          OIDC_CLIENT_ID: 'client',
+          OIDC_REDIRECT_URI: 'https://api.example.com/api/auth/oidc/callback'
+        };
+
+        const response = await oidcRoutes.callback(request);
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.data.mfaRequired).toBe(true);
+        expect(body.data.tokens).toBeUndefined();
+        expect(await verifyToken(body.data.challengeToken, request.env)).toMatchObject({ userId: 3, type: 'mfa_challenge' });
+      } finally {
+        completeAuthorization.mockRestore();
+        resolveUser.mockRestore();
+      }
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should require user management permissions for invitations', async () => {
+      const { getRequiredPermission } = await import('../middleware/auth.js');
+
+      expect(getRequiredPermission('GET', '/api/admin/invitations')).toBe('users:read');
+      expect(getRequiredPermission('POST', '/api/admin/invitations')).toBe('users:manage');
+      expect(getRequiredPermission('DELETE', '/api/admin/invitations/4')).toBe('users:manage');
+    });
+
+    it('should clamp invitation lifetimes', async () => {
+      const { getInvitationTtlDays } = await import('../services/invitations.js');
+
+      expect(getInvitationTtlDays({})).toBe(7);
+      expect(getInvitationTtlDays({ INVITATION_TTL_DAYS: '3' })).toBe(3);
+      expect(getInvitationTtlDays({ INVITATION_TTL_DAYS: '3' }, 14)).toBe(14);
+      expect(getInvitationTtlDays({}, 365)).toBe(30);
+    });
+  });
+
+  describe('Cookie Sessions', () => {
+    it('should set HttpOnly session cookies and a readable CSRF cookie', async () => {
+      const { createSessionCookies, parseCookies, CSRF_COOKIE } = await import('../services/sessionCookies.js');
+      const { csrfToken, cookies } = createSessionCookies({ accessToken: 'access', refreshToken: 'refresh' }, {});
+
+      expect(cookies[0]).toMatch(/^ei_session=access; Path=\/; .*HttpOnly; Secure; SameSite=Strict/);
+      expect(cookies[1]).toMatch(/^ei_refresh=refresh; Path=\/api\/auth; .*HttpOnly/);
+      expect(cookies[2]).not.toContain('HttpOnly');
+
+      const request = new Request('http://localhost/', { headers: { Cookie: cookies.map(c => c.split(';')[0]).join('; ') } });
+      expect(parseCookies(request).get(CSRF_COOKIE)).toBe(csrfToken);
+    });
+
+    it('should skip cookies that are not valid percent-encoding', async () => {
+      const { parseCookies } = await import('../services/sessionCookies.js');
+      const request = new Request('http://localhost/', { headers: { Cookie: 'promo=50%; ei_session=a%20b' } });
+
+      const cookies = parseCookies(request);
+
+      expect(cookies.has('promo')).toBe(false);
+      expect(cookies.get('ei_session')).toBe('a b');
+    });
+
+    it('should require a matching CSRF header for cookie-authenticated writes', async () => {
+      const { authMiddleware } = await import('../middleware/auth.js');
+      const cookie = 'ei_session=token; ei_csrf=expected';
+
+      for (const csrf of [null, 'wrong']) {
+        const headers = { Cookie: cookie, ...(csrf ? { 'X-CSRF-Token': csrf } : {}) };
+        const request = createMockRequest('POST', '/api/admin/invitations', {}, headers);
+        const response = await authMiddleware(request);
+
+        expect(response.status).toBe(403);
+        expect((await response.json()).code).toBe('CSRF_TOKEN_INVALID');
+      }
+    });
+  });
+
   describe('Input Sanitization', () => {
     it('should prevent SQL injection patterns', async () => {
       const { sanitizeString } = await import('../src/utils/validation.js');
@@ -314,6 +1141,288 @@ describe('Security Tests', () => {
 });
 
 describe('Integration Tests', () => {
+  describe('Lead Routing', () => {
+    const inquiry = {
+      location: 'Bandra, Mumbai',
+      project_description: 'Complete redesign of our RESTAURANT dining area',
+      priority: 2
+    };
+
+    it('should pick the first active rule whose conditions all match', async () => {
+      const { findMatchingRule } = await import('../services/leadRouting.js');
+      const rules = [
+        { id: 1, is_active: false, conditions: {}, actions: { assign_to: 'off' } },
+        { id: 2, is_active: true, conditions: { locations: ['pune'] }, actions: { assign_to: 'pune-team' } },
+        { id: 3, is_active: true, conditions: { locations: ['mumbai'], keywords: ['restaurant'], priorities: [1, 2] }, actions: { assign_to: 'hospitality' } },
+        { id: 4, is_active: true, conditions: {}, actions: { assign_to: 'desk' } }
+      ];
+
+      expect(findMatchingRule(rules, inquiry).id).toBe(3);
+      expect(findMatchingRule(rules, { ...inquiry, priority: 3 }).id).toBe(4);
+      expect(findMatchingRule(rules.slice(0, 2), inquiry)).toBeNull();
+    });
+
+    it('should match time-of-day windows in the rule timezone, including overnight', async () => {
+      const { findMatchingRule } = await import('../services/leadRouting.js');
+      const afterHours = [{ id: 1, is_active: true, conditions: { time_of_day: { start: '18:00', end: '09:00' } }, actions: { priority: 1 } }];
+      // 14:00 UTC is 19:30 in Asia/Kolkata
+      const now = new Date('2024-05-01T14:00:00Z');
+
+      expect(findMatchingRule(afterHours, inquiry, { now })).toBeNull();
+      expect(findMatchingRule(afterHours, inquiry, { now, defaultTimezone: 'Asia/Kolkata' }).id).toBe(1);
+      expect(findMatchingRule(afterHours, inquiry, { now: new Date('2024-05-01T02:00:00Z') }).id).toBe(1);
+    });
+  });
+
+  describe('Inquiry Search', () => {
+    it('should turn free text into a quoted prefix FTS query', async () => {
+      const { buildFtsQuery } = await import('../services/inquirySearch.js');
+
+      expect(buildFtsQuery('Rest Mumbai')).toBe('"rest"* "mumbai"*');
+      expect(buildFtsQuery('john@example.com')).toBe('"john"* "example"* "com"*');
+      expect(buildFtsQuery('"NEAR( OR *')).toBe('"near"* "or"*');
+      expect(buildFtsQuery('  -- ')).toBeNull();
+    });
+
+    it('should escape snippets and highlight matches', async () => {
+      const { formatSnippet } = await import('../services/inquirySearch.js');
+
+      expect(formatSnippet('a <b>\u0001café\u0002</b> & bar')).toBe('a &lt;b&gt;<mark>café</mark>&lt;/b&gt; &amp; bar');
+      expect(formatSnippet(null)).toBe('');
+    });
+  });
+
+  describe('Inquiry Stats', () => {
+    it('should include the whole day when the range ends on a bare date', async () => {
+      const { InquiryStatsService } = await import('../services/inquiryStats.js');
+      const stats = new InquiryStatsService(null);
+
+      const range = stats.buildDateRange({ from: '2024-05-01', to: '2024-05-31' });
+
+      expect(range.where).toBe("WHERE created_at >= datetime(?) AND created_at < datetime(?, '+1 day')");
+      expect(range.params).toEqual(['2024-05-01', '2024-05-31']);
+      expect(stats.buildDateRange({ to: '2024-05-31T12:00:00Z' }).where).toBe('WHERE created_at <= datetime(?)');
+    });
+
+    it('should report zeros and null response times when there are no inquiries', async () => {
+      const { InquiryStatsService } = await import('../services/inquiryStats.js');
+      const db = { executeQuery: async () => ({ results: [] }) };
+
+      const stats = await new InquiryStatsService(db).getStats({ interval: 'week' });
+
+      expect(stats.total_inquiries).toBe(0);
+      expect(stats.completion_rate).toBe(0);
+      expect(stats.timeline).toEqual({ interval: 'week', buckets: [] });
+      expect(stats.funnel.stages.map(stage => stage.count)).toEqual([0, 0, 0]);
+      expect(stats.response_times.first_response_hours.average).toBeNull();
+    });
+
+    it('should leave archived inquiries out unless asked for', async () => {
+      const { InquiryStatsService } = await import('../services/inquiryStats.js');
+      const queries = [];
+      const db = { executeQuery: async (sql) => { queries.push(sql); return { results: [] }; } };
+      const stats = new InquiryStatsService(db);
+
+      await stats.getStats({ from: '2024-05-01' });
+      expect(queries.length).toBeGreaterThan(0);
+      expect(queries.every(sql => /archived_at IS NULL/.test(sql))).toBe(true);
+
+      queries.length = 0;
+      await stats.getStats({ from: '2024-05-01', archived: 'include' });
+      expect(queries.some(sql => sql.includes('archived_at'))).toBe(false);
+    });
+  });
+
+  describe('Inquiry Export', () => {
+    it('should quote CSV values and neutralise formulas', async () => {
+      const { escapeCsvValue } = await import('../services/inquiryExport.js');
+
+      expect(escapeCsvValue('=HYPERLINK("http://x")')).toBe(`"'=HYPERLINK(""http://x"")"`);
+      expect(escapeCsvValue('+91 98765 43210')).toBe("'+91 98765 43210");
+      expect(escapeCsvValue('a, b')).toBe('"a, b"');
+      expect(escapeCsvValue(-1)).toBe('-1');
+      expect(escapeCsvValue(null)).toBe('');
+    });
+
+    it('should write a ZIP archive with a central directory for every entry', async () => {
+      const { createZipStream } = await import('../utils/zip.js');
+      const chunks = [];
+
+      for await (const chunk of createZipStream([
+        { name: 'a.txt', data: ['hello ', 'world'] },
+        { name: 'b.txt', data: [new Uint8Array([1, 2, 3])] }
+      ])) {
+        chunks.push(...chunk);
+      }
+
+      const bytes = new Uint8Array(chunks);
+      const view = new DataView(bytes.buffer);
+      const end = bytes.length - 22;
+
+      expect(view.getUint32(0, true)).toBe(0x04034b50);
+      expect(view.getUint32(end, true)).toBe(0x06054b50);
+      expect(view.getUint16(end + 10, true)).toBe(2);
+      expect(view.getUint32(view.getUint32(end + 16, true), true)).toBe(0x02014b50);
+    });
+  });
+
+  describe('Inquiry Import', () => {
+    it('should parse quoted CSV fields, embedded newlines and a byte order mark', async () => {
+      const { parseCsv } = await import('../services/inquiryImport.js');
+
+      const rows = parseCsv('\uFEFFname,notes\r\n"Rao, Asha","said ""hi""\nthen left"\r\nRavi,\n');
+
+      expect(rows).toEqual([
+        ['name', 'notes'],
+        ['Rao, Asha', 'said "hi"\nthen left'],
+        ['Ravi', '']
+      ]);
+    });
+
+    it('should map columns by header and undo the export formula escape', async () => {
+      const { parseCsv, resolveColumns, mapRows } = await import('../services/inquiryImport.js');
+      const rows = parseCsv("Full Name,Email,Phone,City,Project Description\nAsha,a@x.com,'+91 98765 43210,Pune,Kitchen remodel\n,,,,\n");
+
+      const records = mapRows(rows, resolveColumns(rows[0], { name: 'full name', location: 'City' }));
+
+      expect(records).toEqual([{
+        row: 2,
+        data: { name: 'Asha', email: 'a@x.com', phone: '+91 98765 43210', location: 'Pune', project_description: 'Kitchen remodel' }
+      }]);
+      expect(() => resolveColumns(['name'], {})).toThrow("No column for 'email'");
+    });
+  });
+
+  describe('Inquiry Bulk Operations', () => {
+    it('should only apply a status change if the status is still the one that was read', async () => {
+      const { DatabaseService } = await import('../services/database.js');
+
+      const { sql, params } = new DatabaseService(null).buildInquiryUpdate(4, { status: 'in_progress', tags: ['vip'] }, { expectedStatus: 'pending' });
+
+      expect(sql).toMatch(/WHERE id = \?\s+AND status = \?/);
+      expect(params).toEqual(['in_progress', '["vip"]', 4, 'pending']);
+    });
+
+    it('should log a batched status change only when the preceding update changed a row', async () => {
+      const { InquiryActivityService } = await import('../services/inquiryActivities.js');
+      const activities = new InquiryActivityService(null);
+      const actor = { type: 'user', id: '7', email: 'sales@example.com' };
+
+      const guarded = activities.statusChangeQuery(4, 'pending', 'in_progress', actor, { afterUpdate: true });
+
+      expect(guarded.sql).toContain('WHERE changes() > 0');
+      expect(guarded.params).toEqual([4, 'pending', 'in_progress', 'user', '7', 'sales@example.com']);
+      expect(activities.statusChangeQuery(4, null, 'pending', actor).sql).not.toContain('changes()');
+    });
+
+    it('should audit each inquiry with its previous values', async () => {
+      const { default: inquiryRoutes } = await import('../routes/inquiries.js');
+      const rows = new Map([
+        [1, { id: 1, status: 'pending', assigned_to: 'amy', archived_at: null }],
+        [2, { id: 2, status: 'pending', assigned_to: null, archived_at: null }]
+      ]);
+      const audited = [];
+
+      // D1 stand-in: reads from `rows`, applies assignments and captures audit inserts
+      const statement = (sql, params) => ({
+        async all() {
+          if (sql.startsWith('SELECT * FROM inquiries WHERE id IN')) {
+            return { results: params.filter(id => rows.has(id)).map(id => ({ ...rows.get(id) })) };
+          }
+          return { results: [] };
+        },
+        async run() {
+          if (sql.includes('UPDATE inquiries') && sql.includes('assigned_to = ?')) {
+            rows.get(params[1]).assigned_to = params[0];
+            return { meta: { changes: 1 } };
+          }
+          if (sql.startsWith('INSERT INTO audit_log')) audited.push(params);
+          return { meta: { changes: 1 } };
+        }
+      });
+      const DB = {
+        prepare: sql => ({ bind: (...params) => statement(sql, params) }),
+        batch: async statements => Promise.all(statements.map(stmt => stmt.run()))
+      };
+
+      const request = createMockRequest('POST', '/api/v1/admin/inquiries/bulk', { action: 'assign', ids: [1, 2], assigned_to: 'raj' });
+      request.env = { ...mockEnv, DB };
+      request.user = { userId: 9, email: 'manager@example.com', role: 'admin' };
+
+      const response = await inquiryRoutes.bulkInquiries(request);
+      expect(response.status).toBe(200);
+
+      expect(audited.map(params => [params[3], params[5], JSON.parse(params[6])])).toEqual([
+        ['bulk_assign', '1', { assigned_to: { from: 'amy', to: 'raj' } }],
+        ['bulk_assign', '2', { assigned_to: { from: null, to: 'raj' } }]
+      ]);
+    });
+
+    it('should still count archived inquiries as recent duplicates', async () => {
+      const { default: inquiryRoutes } = await import('../routes/inquiries.js');
+      const { DatabaseService } = await import('../services/database.js');
+      const description = 'I need interior design for my office space.';
+      const archived = { id: 5, email: 'john@example.com', project_description: description, created_at: new Date().toISOString(), archived_at: new Date().toISOString() };
+      const getInquiries = vi.spyOn(DatabaseService.prototype, 'getInquiries')
+        .mockImplementation(async ({ archived: scope }) => ({ results: scope === 'include' ? [archived] : [] }));
+
+      try {
+        const request = createMockRequest('POST', '/api/v1/inquiries', {
+          name: 'John Doe',
+          email: 'john@example.com',
+          phone: '1234567890',
+          location: 'New York',
+          project_description: description
+        });
+
+        await expect(inquiryRoutes.createInquiry(request)).rejects.toThrow('A similar inquiry was submitted recently');
+      } finally {
+        getInquiries.mockRestore();
+      }
+    });
+  });
+
+  describe('Inquiry Activities', () => {
+    // Records the queries it is given and echoes inserted rows back like RETURNING *
+    function createRecordingDb() {
+      const queries = [];
+      return {
+        queries,
+        async executeQuery(sql, params = []) {
+          queries.push({ sql, params });
+          const [inquiry_id, type, from_status, to_status, body, metadata, actor_type, actor_id, actor_email] = params;
+          return { results: [{ id: queries.length, inquiry_id, type, from_status, to_status, body, metadata, actor_type, actor_id, actor_email }] };
+        }
+      };
+    }
+
+    it('should record status changes with the actor', async () => {
+      const { InquiryActivityService } = await import('../services/inquiryActivities.js');
+      const db = createRecordingDb();
+      const actor = { type: 'user', id: '7', email: 'sales@example.com' };
+
+      const activity = await new InquiryActivityService(db).recordStatusChange(3, 'pending', 'in_progress', actor);
+
+      expect(activity).toMatchObject({ inquiry_id: 3, type: 'status_change', from_status: 'pending', to_status: 'in_progress', actor_id: '7' });
+      expect(db.queries[0].sql).toContain('INSERT INTO inquiry_activities');
+    });
+
+    it('should store and parse call metadata as JSON', async () => {
+      const { InquiryActivityService, LOGGABLE_ACTIVITY_TYPES } = await import('../services/inquiryActivities.js');
+      const db = createRecordingDb();
+      const actor = { type: 'api_key', id: 'env', email: null };
+
+      const activity = await new InquiryActivityService(db).addActivity(3, {
+        type: 'call',
+        body: 'Discussed budget',
+        metadata: { direction: 'outbound', duration_minutes: 15 }
+      }, actor);
+
+      expect(activity.metadata).toEqual({ direction: 'outbound', duration_minutes: 15 });
+      expect(LOGGABLE_ACTIVITY_TYPES).not.toContain('status_change');
+    });
+  });
+
   describe('Inquiry Flow', () => {
     it('should validate inquiry creation schema', () => {
       const validInquiry = {
@@ -0,0 +1,105 @@
+/**
+ * Zip Utilities - Minimal streaming ZIP writer (stored entries, no compression)
+ * Entry contents are written as they are produced; sizes and CRCs follow each entry in a
+ * data descriptor, so nothing has to be buffered. No ZIP64: archives must stay under 4 GB.
+ */
+
+const encoder = new TextEncoder();
+
+// CRC-32 lookup table (O(1) per byte)
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+function updateCrc32(crc, bytes) {
+  let value = crc ^ 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    value = CRC_TABLE[(value ^ bytes[i]) & 0xFF] ^ (value >>> 8);
+  }
+  return (value ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time fields
+function toDosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+// Little-endian record from [value, byteLength] fields
+function record(fields) {
+  const size = fields.reduce((total, [, length]) => total + length, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+
+  for (const [value, length] of fields) {
+    if (length === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += length;
+  }
+
+  return new Uint8Array(view.buffer);
+}
+
+function concat(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+// General purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+const VERSION = 20;
+const STORED = 0;
+
+// Stream a ZIP archive
+// entries: iterable of { name, data } where data is an (async) iterable of strings or Uint8Arrays
+export async function* createZipStream(entries, modifiedAt = new Date()) {
+  const { time, date } = toDosDateTime(modifiedAt);
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const localHeader = concat(record([
+      [0x04034b50, 4], [VERSION, 2], [FLAGS, 2], [STORED, 2], [time, 2], [date, 2],
+      [0, 4], [0, 4], [0, 4], [name.length, 2], [0, 2]
+    ]), name);
+
+    yield localHeader;
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of entry.data) {
+      const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+      crc = updateCrc32(crc, bytes);
+      size += bytes.length;
+      yield bytes;
+    }
+
+    yield record([[0x08074b50, 4], [crc, 4], [size, 4], [size, 4]]);
+
+    centralDirectory.push(concat(record([
+      [0x02014b50, 4], [VERSION, 2], [VERSION, 2], [FLAGS, 2], [STORED, 2], [time, 2], [date, 2],
+      [crc, 4], [size, 4], [size, 4], [name.length, 2], [0, 2], [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]
+    ]), name));
+
+    offset += localHeader.length + size + 16;
+  }
+
+  const directory = concat(...centralDirectory);
+  yield directory;
+  yield record([
+    [0x06054b50, 4], [0, 2], [0, 2], [centralDirectory.length, 2], [centralDirectory.length, 2],
+    [directory.length, 4], [offset, 4], [0, 2]
+  ]);
+}